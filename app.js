@@ -1,6 +1,9 @@
 'use strict';
 
 const Homey = require('homey');
+const MercedesOAuth = require('./lib/oauth');
+const MercedesAccountSession = require('./lib/account-session');
+const FrameRecorder = require('./lib/recorder');
 
 class MercedesMeApp extends Homey.App {
   /**
@@ -9,10 +12,85 @@ class MercedesMeApp extends Homey.App {
   async onInit() {
     this.log('Mercedes-Benz app has been initialized');
 
+    // Optional endpoint override for local testing against tools/mock-server.js
+    if (Homey.env.MERCEDES_ENDPOINT_OVERRIDE) {
+      MercedesOAuth.setEndpointOverride(Homey.env.MERCEDES_ENDPOINT_OVERRIDE);
+      this.log(`Using endpoint override: ${Homey.env.MERCEDES_ENDPOINT_OVERRIDE}`);
+    }
+
+    // Shared account sessions, keyed by username
+    this.accountSessions = new Map();
+
+    // Optional raw frame recording for offline replay (set MERCEDES_RECORD_DIR in env.json)
+    this.recorder = Homey.env.MERCEDES_RECORD_DIR
+      ? new FrameRecorder(this.homey, Homey.env.MERCEDES_RECORD_DIR)
+      : null;
+
     // Register flow cards
     this._registerFlowCards();
   }
 
+  /**
+   * Get the shared session for an account, creating it on first use
+   * @param {Object} account - { username, region, deviceGuid, token } from the device store
+   * @returns {Promise<MercedesAccountSession>}
+   */
+  async getAccountSession({ username, region, deviceGuid, token }) {
+    const key = String(username || '').toLowerCase();
+    let session = this.accountSessions.get(key);
+
+    if (!session) {
+      session = new MercedesAccountSession(this.homey, username, region, deviceGuid);
+      this.accountSessions.set(key, session);
+    } else if (session.region !== region) {
+      this.error(`Account ${username} is already connected to ${session.region}, ignoring region ${region}`);
+    }
+
+    session.adoptToken(token);
+    await session.initialize();
+
+    return session;
+  }
+
+  /**
+   * Remove a vehicle from its account session and close the session when unused
+   * @param {MercedesAccountSession} session - Session returned by getAccountSession()
+   * @param {string} vin - Vehicle VIN
+   */
+  async releaseAccountSession(session, vin) {
+    session.unsubscribe(vin);
+
+    if (session.hasSubscribers()) {
+      return;
+    }
+
+    const key = String(session.username || '').toLowerCase();
+    if (this.accountSessions.get(key) === session) {
+      this.accountSessions.delete(key);
+    }
+
+    await session.close();
+  }
+
+  /**
+   * Stop handing out the current session of an account, so the next getAccountSession()
+   * creates a new one (repair with a new login, region or deviceGuid). Vehicles still
+   * subscribed keep the old session until they release it; it closes with the last one.
+   * @param {string} username - Account username
+   */
+  detachAccountSession(username) {
+    const key = String(username || '').toLowerCase();
+    const session = this.accountSessions.get(key);
+    if (!session) {
+      return;
+    }
+
+    this.accountSessions.delete(key);
+    if (!session.hasSubscribers()) {
+      session.close().catch(error => this.error(`Failed to close session for ${username}:`, error.message));
+    }
+  }
+
   /**
    * Register all flow card listeners
    */
@@ -120,6 +198,21 @@ class MercedesMeApp extends Homey.App {
         return args.device.soundHornAction(args.mode);
       });
 
+      const exportChargingHistoryAction = this.homey.flow.getActionCard('export_charging_history');
+      exportChargingHistoryAction.registerRunListener(async (args) => {
+        return args.device.exportChargingHistoryAction();
+      });
+
+      const planSmartChargingAction = this.homey.flow.getActionCard('plan_smart_charging');
+      planSmartChargingAction.registerRunListener(async (args) => {
+        return args.device.planSmartChargingAction(args.prices, args.target_soc, args.departure);
+      });
+
+      const cancelSmartChargingAction = this.homey.flow.getActionCard('cancel_smart_charging');
+      cancelSmartChargingAction.registerRunListener(async (args) => {
+        return args.device.cancelSmartChargingAction();
+      });
+
       // ==================== Condition Flow Cards ====================
 
       const isLockedCondition = this.homey.flow.getConditionCard('is_locked');
@@ -182,6 +275,11 @@ class MercedesMeApp extends Homey.App {
         return args.device.isInGeofence(args.zone_name);
       });
 
+      const dataOlderThanCondition = this.homey.flow.getConditionCard('data_older_than');
+      dataOlderThanCondition.registerRunListener(async (args) => {
+        return args.device.isDataOlderThan(args.group, args.minutes);
+      });
+
       this.log('Flow cards registered successfully');
     } catch (error) {
       this.error('Error registering flow cards:', error.message);
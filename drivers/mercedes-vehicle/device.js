@@ -2,7 +2,38 @@
 
 const Homey = require('homey');
 const MercedesOAuth = require('../../lib/oauth');
-const MercedesAPI = require('../../lib/api');
+const { COMMAND_ERROR_CODES } = require('../../lib/command-errors');
+const { CAPABILITY_COMMANDS, isCommandNameSupported } = require('../../lib/command-capabilities');
+const {
+  ATTRIBUTE_MAPPINGS,
+  DATA_GROUPS,
+  DEPRECATED_CAPABILITIES,
+  filterValidAttributes,
+  readAttribute,
+  readValue,
+  getMigrationCapabilities
+} = require('../../lib/attribute-mappings');
+const { UNIT_SETTINGS, getDisplayUnit } = require('../../lib/units');
+const VehicleState = require('../../lib/vehicle-state');
+const TripLogger = require('../../lib/trip-logger');
+const ChargingLogger = require('../../lib/charging-logger');
+const chargePlanner = require('../../lib/charge-planner');
+const Logger = require('../../lib/logger');
+
+// How long an optimistic capability update may wait for the vehicle to report it
+const STATE_CONFIRM_TIMEOUT = 2 * 60 * 1000;
+
+// How often the supported commands of the vehicle are queried again
+const COMMAND_CAPABILITIES_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Attributes that make the smart charging plan outdated
+const SMART_CHARGING_KEYS = ['soc', 'endofchargetime'];
+
+// How long vehicle state changes are collected before the snapshot is written to the store
+const STATE_SAVE_DELAY = 30 * 1000;
+
+// Settings that control the log level and redaction
+const LOG_SETTINGS = ['debug_mode', 'log_hide_vin', 'log_hide_location'];
 
 class MercedesVehicleDevice extends Homey.Device {
   /**
@@ -11,368 +42,383 @@ class MercedesVehicleDevice extends Homey.Device {
   async onInit() {
     this.log('Mercedes Vehicle device initializing...');
 
+    // Why the last initialization and poll failed (reported by reauthenticate), null after a success
+    this.initError = null;
+    this.lastPollError = null;
+
     const settings = this.getSettings();
     const store = this.getStore();
 
+    // Leveled, redacting logs (debug_mode setting); the update path logs under [UPDATE]
+    this.logger = new Logger(this);
+    this.logger.configure(this._getLogOptions(settings));
+    this.updateLogger = this.logger.child('UPDATE');
+
     this.vin = this.getData().vin;
     this.region = store.region || 'Europe';
-    this.log(`VIN: ${this.vin}, Region: ${this.region}`);
+    this.logger.info(`VIN: ${this.vin}, Region: ${this.region}`);
 
-    try {
-      // Initialize OAuth with stored deviceGuid
-      this.oauth = new MercedesOAuth(this.homey, this.region, store.deviceGuid);
+    // Optimistic capability updates waiting for vehicle confirmation (capability -> state)
+    this.pendingStates = new Map();
 
-      // Restore stored token if available
-      if (store.token) {
-        this.oauth.token = store.token;
-        this.log('OAuth token restored from store');
-      }
+    // Measurement time of the newest valid data per data group (group -> timestamp in ms)
+    this.dataTimestamps = store.dataTimestamps || {};
 
-      // Register callback to persist token updates (fixes disconnection after token refresh)
-      this.oauth.setTokenUpdateCallback(async (newToken) => {
-        this.log('Token refreshed, persisting to store...');
-        await this.setStoreValue('token', newToken);
-        this.log('Refreshed token persisted successfully');
-      });
+    // Last known attributes of the vehicle; capabilities are written from its changes.
+    // Restored from the store so values that did not change while the app was stopped
+    // are not reported as changes (and do not fire flow triggers) after a restart
+    this.vehicleState = VehicleState.fromJSON(this.vin, store.vehicleState);
+    this.stateSaveTimer = null;
+    this.log(`[INIT] Restored ${this.vehicleState.size} vehicle attribute(s) from the store`);
+
+    // Trips detected from ignition and engine transitions, history kept in app storage
+    this.tripLogger = new TripLogger(this.homey, this.vin, this.logger.child('TRIP'));
+    this.chargingLogger = new ChargingLogger(this.homey, this.vin, this.logger.child('CHARGING'));
 
-      // Initialize API client
-      this.api = new MercedesAPI(this.homey, this.oauth, this.region);
-      await this.api.initialize();
-      this.log('API client and protobuf parser initialized');
+    // Price-aware charging plan { prices, targetSoc, departure, departureTime, appliedMaxSoc }
+    this.smartCharging = store.smartCharging || null;
+    this.smartChargingTimer = null;
+
+    try {
+      // Join the shared account session (one OAuth token, WebSocket and parser per account)
+      this.session = await this.homey.app.getAccountSession({
+        username: store.username,
+        region: this.region,
+        deviceGuid: store.deviceGuid,
+        token: store.token
+      });
+      this.oauth = this.session.oauth;
+      this.api = this.session.api;
+      this.api.setCommandCapabilities(this.vin, store.commandCapabilities || null);
+      this.log('Account session, API client and protobuf parser initialized');
+
+      // Receive this vehicle's WebSocket updates and persist token updates (fixes disconnection after token refresh)
+      this.session.subscribe(this.vin, {
+        onVepUpdate: this.onVepUpdate.bind(this),
+        onResync: this.onResync.bind(this),
+        onTokenUpdate: async (newToken) => {
+          this.log('Token refreshed, persisting to store...');
+          await this.setStoreValue('token', newToken);
+          this.log('Refreshed token persisted successfully');
+        },
+        onTokenRevoked: async (error) => {
+          this.error('Refresh token revoked:', error.message);
+          await this.setUnavailable(this.homey.__('error.reauth_required'));
+        },
+        onCommandStatus: this.onCommandStatus.bind(this)
+      });
+      this.session.setLogOptions(this.vin, this._getLogOptions(settings));
+
+      // Track queued commands (one command at a time per vehicle)
+      this.commandQueue = this.api.getCommandQueue(this.vin);
+      this._onCommandQueueChange = (state) => {
+        this.commandQueueState = state;
+        if (state.current) {
+          this.log(`[QUEUE] Running ${state.current.type} (attempt ${state.current.attempt}), ${state.depth} waiting`);
+        }
+      };
+      this.commandQueue.on('change', this._onCommandQueueChange);
 
       // Check if token is expired and refresh if needed
       if (!this.oauth.token || MercedesOAuth.isTokenExpired(this.oauth.token)) {
         this.log('Token expired, refreshing...');
-        await this.oauth.login(store.username, store.password);
-        await this.setStoreValue('token', this.oauth.token);
+        await this._renewToken(store);
         this.log('Token refreshed and stored');
       }
 
+      // Devices paired before the token-only model kept the account password - wipe it
+      if (this.getStoreKeys().includes('password')) {
+        this.log('[INIT] Removing stored account password (token-only migration)');
+        await this.unsetStoreValue('password');
+      }
+
       // Register capability listeners
       this.registerCapabilityListener('locked', this.onCapabilityLocked.bind(this));
       this.registerCapabilityListener('onoff.engine', this.onCapabilityEngine.bind(this));
       this.registerCapabilityListener('onoff.climate', this.onCapabilityClimate.bind(this));
 
-      // Add average_speed capability if it doesn't exist (for devices paired before this was added)
-      if (!this.hasCapability('average_speed')) {
-        this.log('[INIT] Adding missing average_speed capability');
-        await this.addCapability('average_speed');
-      }
+      // Add and remove capabilities to match the attribute mappings (devices paired with older versions)
+      await this._migrateCapabilities();
+      await this._applyUnitOptions(settings);
+      await this._restoreCapabilities();
 
-      // Initialize average_speed capability with default value if not set
-      if (this.getCapabilityValue('average_speed') === null) {
-        await this.setCapabilityValue('average_speed', 0);
-        this.log('[INIT] Initialized average_speed capability to 0 km/h');
-      }
-
-      // Add new location capabilities if they don't exist
-      if (!this.hasCapability('measure_latitude')) {
-        this.log('[INIT] Adding missing measure_latitude capability');
-        await this.addCapability('measure_latitude');
-      }
-      if (!this.hasCapability('measure_longitude')) {
-        this.log('[INIT] Adding missing measure_longitude capability');
-        await this.addCapability('measure_longitude');
-      }
-      if (!this.hasCapability('measure_heading')) {
-        this.log('[INIT] Adding missing measure_heading capability');
-        await this.addCapability('measure_heading');
-      }
-
-      // Add geofence capabilities
-      if (!this.hasCapability('text_geofence_last_event')) {
-        await this.addCapability('text_geofence_last_event');
-      }
-      if (!this.hasCapability('text_geofence_last_zone')) {
-        await this.addCapability('text_geofence_last_zone');
-      }
-      if (!this.hasCapability('time_geofence_last_event')) {
-        await this.addCapability('time_geofence_last_event');
-      }
+      // Add or remove command-backed capabilities (sunroof, preconditioning, engine, ...) to match the vehicle
+      await this._syncCommandCapabilities();
+      this.commandCapabilitiesInterval = setInterval(() => {
+        this._syncCommandCapabilities()
+          .catch(error => this.error('[CAPABILITIES] Periodic sync failed:', error.message));
+      }, COMMAND_CAPABILITIES_INTERVAL);
 
-      // Remove deprecated capabilities (migration)
-      try {
-        if (this.hasCapability('text_charge_flap_state')) {
-          this.log('[INIT] Removing deprecated text_charge_flap_state capability');
-          await this.removeCapability('text_charge_flap_state');
-        }
-      } catch (e) {
-        this.log('[INIT] Could not remove text_charge_flap_state:', e.message);
-      }
+      // Connect to WebSocket for real-time updates
+      this.log('[INIT] Connecting to WebSocket for real-time updates...');
       try {
-        if (this.hasCapability('ecoscore_total')) {
-          this.log('[INIT] Removing deprecated ecoscore_total capability');
-          await this.removeCapability('ecoscore_total');
-        }
-      } catch (e) {
-        this.log('[INIT] Could not remove ecoscore_total:', e.message);
+        await this.session.connectWebSocket();
+        this.log('[INIT] WebSocket connection established');
+      } catch (error) {
+        this.error('[INIT] Failed to connect WebSocket:', error.message);
+        this.log('[INIT] Falling back to polling mode');
       }
 
-      // Remove deprecated charge inlet capabilities
-      const chargeInletCaps = ['text_charge_inlet_coupler', 'text_charge_inlet_lock', 'text_charge_flap_dc_status'];
-      for (const cap of chargeInletCaps) {
-        try {
-          if (this.hasCapability(cap)) {
-            this.log(`[INIT] Removing deprecated ${cap} capability`);
-            await this.removeCapability(cap);
-          }
-        } catch (e) {
-          this.log(`[INIT] Could not remove ${cap}:`, e.message);
-        }
-      }
+      // Start polling for vehicle data (as fallback and for initial data)
+      // If WebSocket is working, this will be less critical
+      const disableAutoRefresh = settings.disable_auto_refresh || false;
+      const pollingInterval = settings.polling_interval || 1800;
 
-      // Add text capabilities that might be missing
-      const textCaps = [
-        'text_charging_status', 'text_charge_program', 'text_end_charge_time',
-        'window_sunroof', 'measure_fuel', 'measure_adblue_level',
-        'measure_max_soc', 'measure_oil_level',
-        'ecoscore_accel', 'ecoscore_const', 'ecoscore_freewhl',
-        'distance_start', 'distance_electrical', 'driven_time_start',
-        'odometer', 'meter_power', 'alarm_generic'
-      ];
-      for (const cap of textCaps) {
-        if (!this.hasCapability(cap)) {
-          this.log(`[INIT] Adding missing ${cap} capability`);
-          await this.addCapability(cap);
-        }
+      if (!disableAutoRefresh) {
+        this.log(`Starting polling with ${pollingInterval}s interval (WebSocket fallback)`);
+        this.pollInterval = setInterval(
+          this.pollVehicleData.bind(this),
+          pollingInterval * 1000
+        );
+      } else {
+        this.log('Automatic polling disabled - use flow action to refresh data');
       }
 
-      // Add tire pressure capabilities
-      const tirePressureCaps = ['tire_pressure_bar.tire_fl', 'tire_pressure_bar.tire_fr', 'tire_pressure_bar.tire_rl', 'tire_pressure_bar.tire_rr'];
-      for (const cap of tirePressureCaps) {
-        if (!this.hasCapability(cap)) {
-          this.log(`[INIT] Adding missing ${cap} capability`);
-          await this.addCapability(cap);
-        }
-      }
+      // Do initial poll
+      await this.pollVehicleData();
 
-      // Remove old window_status.* capabilities and add new window_* capabilities
-      const oldWindowCaps = ['window_status.front_left', 'window_status.front_right', 'window_status.rear_left', 'window_status.rear_right'];
-      for (const cap of oldWindowCaps) {
-        try {
-          if (this.hasCapability(cap)) {
-            this.log(`[INIT] Removing old ${cap} capability`);
-            await this.removeCapability(cap);
-          }
-        } catch (e) {
-          this.log(`[INIT] Could not remove ${cap}:`, e.message);
-        }
+      // Continue a smart charging plan from before the restart
+      if (this.smartCharging) {
+        await this._replanCharging('startup');
       }
 
-      const windowCaps = ['window_front_left', 'window_front_right', 'window_rear_left', 'window_rear_right'];
-      for (const cap of windowCaps) {
-        try {
-          if (!this.hasCapability(cap)) {
-            this.log(`[INIT] Adding missing ${cap} capability`);
-            await this.addCapability(cap);
-          }
-        } catch (e) {
-          this.log(`[INIT] Could not add ${cap}:`, e.message);
-        }
-      }
+      await this.setAvailable();
+      this.log('Mercedes Vehicle device initialized successfully');
 
-      // Remove old door_status.* capabilities and add new door_* capabilities
-      const oldDoorCaps = ['door_status.front_left', 'door_status.front_right', 'door_status.rear_left', 'door_status.rear_right', 'door_status.trunk', 'door_status.hood'];
-      for (const cap of oldDoorCaps) {
-        try {
-          if (this.hasCapability(cap)) {
-            this.log(`[INIT] Removing old ${cap} capability`);
-            await this.removeCapability(cap);
-          }
-        } catch (e) {
-          this.log(`[INIT] Could not remove ${cap}:`, e.message);
-        }
-      }
+    } catch (error) {
+      this.error('Device initialization failed:', error.message);
+      this.initError = error;
 
-      const doorCaps = ['door_front_left', 'door_front_right', 'door_rear_left', 'door_rear_right', 'door_trunk', 'door_hood'];
-      for (const cap of doorCaps) {
-        try {
-          if (!this.hasCapability(cap)) {
-            this.log(`[INIT] Adding missing ${cap} capability`);
-            await this.addCapability(cap);
-          }
-        } catch (e) {
-          this.log(`[INIT] Could not add ${cap}:`, e.message);
-        }
+      // The refresh token is no longer valid - the user has to repair the device
+      if (error.code === 'OTP_REQUIRED' || error.code === 'TOKEN_REVOKED') {
+        await this.setUnavailable(this.homey.__('error.reauth_required'));
+        return;
       }
 
-      // Migrate parking brake capability from alarm_parking_brake to parking_brake_engaged
-      if (this.hasCapability('alarm_parking_brake')) {
-        this.log('[INIT] Removing deprecated alarm_parking_brake capability');
-        await this.removeCapability('alarm_parking_brake');
-      }
-      if (!this.hasCapability('parking_brake_engaged')) {
-        this.log('[INIT] Adding missing parking_brake_engaged capability');
-        await this.addCapability('parking_brake_engaged');
-      }
+      await this.setUnavailable('Initialization failed: ' + error.message);
+    }
+  }
 
-      // Remove deprecated alarm_starter_battery capability
+  /**
+   * Remove deprecated capabilities and add the mapped ones that are missing
+   */
+  async _migrateCapabilities() {
+    for (const capability of DEPRECATED_CAPABILITIES) {
       try {
-        if (this.hasCapability('alarm_starter_battery')) {
-          this.log('[INIT] Removing deprecated alarm_starter_battery capability');
-          await this.removeCapability('alarm_starter_battery');
+        if (this.hasCapability(capability)) {
+          this.log(`[INIT] Removing deprecated ${capability} capability`);
+          await this.removeCapability(capability);
         }
       } catch (e) {
-        this.log('[INIT] Could not remove alarm_starter_battery:', e.message);
-      }
-
-      // Remove deprecated tire temperature capabilities
-      const tireTempCaps = ['tire_temperature.tire_fl', 'tire_temperature.tire_fr', 'tire_temperature.tire_rl', 'tire_temperature.tire_rr'];
-      for (const cap of tireTempCaps) {
-        try {
-          if (this.hasCapability(cap)) {
-            this.log(`[INIT] Removing deprecated ${cap} capability`);
-            await this.removeCapability(cap);
-          }
-        } catch (e) {
-          this.log(`[INIT] Could not remove ${cap}:`, e.message);
-        }
+        this.log(`[INIT] Could not remove ${capability}:`, e.message);
       }
+    }
 
-      // Remove deprecated alarm_tire_warning capability
+    for (const { capability, initial } of getMigrationCapabilities()) {
       try {
-        if (this.hasCapability('alarm_tire_warning')) {
-          this.log('[INIT] Removing deprecated alarm_tire_warning capability');
-          await this.removeCapability('alarm_tire_warning');
+        if (!this.hasCapability(capability)) {
+          this.log(`[INIT] Adding missing ${capability} capability`);
+          await this.addCapability(capability);
+        }
+        if (initial !== undefined && this.getCapabilityValue(capability) === null) {
+          await this.setCapabilityValue(capability, initial);
         }
       } catch (e) {
-        this.log('[INIT] Could not remove alarm_tire_warning:', e.message);
+        this.log(`[INIT] Could not add ${capability}:`, e.message);
       }
+    }
+  }
 
-      // Add theft alarm capability
-      if (!this.hasCapability('alarm_theft')) {
-        this.log('[INIT] Adding missing alarm_theft capability');
-        await this.addCapability('alarm_theft');
+  /**
+   * Set the units (and ranges) of the unit-aware capabilities to the units in the settings
+   * @param {Object} settings - Device settings
+   */
+  async _applyUnitOptions(settings) {
+    for (const mapping of ATTRIBUTE_MAPPINGS) {
+      if (!mapping.quantity || !this.hasCapability(mapping.capability)) {
+        continue;
       }
 
-      // Add service interval days capability
-      if (!this.hasCapability('measure_service_days')) {
-        this.log('[INIT] Adding missing measure_service_days capability');
-        await this.addCapability('measure_service_days');
-      }
+      const { units, decimals, min, max } = getDisplayUnit(mapping.quantity, settings);
+      const options = { units: { en: units } };
+      if (decimals !== undefined) options.decimals = decimals;
+      if (min !== undefined) options.min = min;
+      if (max !== undefined) options.max = max;
 
-      // Add battery temperature capability
-      if (!this.hasCapability('measure_battery_temperature')) {
-        this.log('[INIT] Adding missing measure_battery_temperature capability');
-        await this.addCapability('measure_battery_temperature');
+      try {
+        await this.setCapabilityOptions(mapping.capability, options);
+      } catch (e) {
+        this.log(`[INIT] Could not set units of ${mapping.capability}:`, e.message);
       }
+    }
+  }
 
-      // Add range capabilities
-      if (!this.hasCapability('measure_range_electric')) {
-        this.log('[INIT] Adding missing measure_range_electric capability');
-        await this.addCapability('measure_range_electric');
-      }
-      if (!this.hasCapability('measure_range_liquid')) {
-        this.log('[INIT] Adding missing measure_range_liquid capability');
-        await this.addCapability('measure_range_liquid');
+  /**
+   * Convert the current values of unit-aware capabilities after a unit setting changed
+   * @param {Object} oldSettings - Settings before the change
+   * @param {Object} newSettings - Settings after the change
+   */
+  async _convertUnitValues(oldSettings, newSettings) {
+    for (const mapping of ATTRIBUTE_MAPPINGS) {
+      if (!mapping.quantity || !this.hasCapability(mapping.capability)) {
+        continue;
       }
 
-      // Add preconditioning status capability
-      if (!this.hasCapability('onoff_precond')) {
-        this.log('[INIT] Adding missing onoff_precond capability');
-        await this.addCapability('onoff_precond');
+      const value = this.getCapabilityValue(mapping.capability);
+      if (typeof value !== 'number') {
+        continue;
       }
 
-      // Add auxiliary heating status capability
-      if (!this.hasCapability('onoff_auxheat')) {
-        this.log('[INIT] Adding missing onoff_auxheat capability');
-        await this.addCapability('onoff_auxheat');
-      }
+      const metric = getDisplayUnit(mapping.quantity, oldSettings).fromDisplay(value);
+      await this.setCapabilityValue(mapping.capability, getDisplayUnit(mapping.quantity, newSettings).toDisplay(metric));
+    }
+  }
 
-      // Add remote start status capability
-      if (!this.hasCapability('onoff_remote_start')) {
-        this.log('[INIT] Adding missing onoff_remote_start capability');
-        await this.addCapability('onoff_remote_start');
+  /**
+   * Renew the access token through the refresh token
+   * Devices paired before the token-only model get one last login with their legacy password
+   * @param {Object} store - Device store
+   */
+  async _renewToken(store) {
+    try {
+      await this.session.renewToken();
+    } catch (error) {
+      if (!store.password) {
+        throw error;
       }
 
-      // Add onoff.ignition capability
-      if (!this.hasCapability('onoff.ignition')) {
-        this.log('[INIT] Adding missing onoff.ignition capability');
-        await this.addCapability('onoff.ignition');
+      this.log('Token refresh failed, migrating with stored password:', error.message);
+      try {
+        await this.oauth.login(store.username, store.password);
+        await this.session.applyToken(this.oauth.token);
+      } finally {
+        // One attempt only - the password is never kept after migration
+        await this.unsetStoreValue('password');
       }
+    }
+  }
 
-      // Add onoff.engine capability
-      if (!this.hasCapability('onoff.engine')) {
-        this.log('[INIT] Adding missing onoff.engine capability');
-        await this.addCapability('onoff.engine');
-      }
+  /**
+   * Apply a fresh login from the repair flow and reinitialize the device in place
+   * (OAuth, API client and WebSocket are recreated through a new account session)
+   * @param {Object} login - { username, region, deviceGuid, token }
+   * @throws When the device could not be initialized or fetch its data with the new login
+   */
+  async reauthenticate({ username, region, deviceGuid, token }) {
+    this.log(`Re-authenticating device (region ${region})...`);
 
-      // Add onoff.climate capability
-      if (!this.hasCapability('onoff.climate')) {
-        this.log('[INIT] Adding missing onoff.climate capability');
-        await this.addCapability('onoff.climate');
-      }
+    // Keep the vehicle state across the reinitialization, then leave the old session
+    await this._saveVehicleState();
+    await this._stopUpdates();
 
-      // Migrate theft system armed capability from alarm_theft_system to theft_system_armed
-      if (this.hasCapability('alarm_theft_system')) {
-        this.log('[INIT] Removing deprecated alarm_theft_system capability');
-        await this.removeCapability('alarm_theft_system');
-      }
-      if (!this.hasCapability('theft_system_armed')) {
-        this.log('[INIT] Adding missing theft_system_armed capability');
-        await this.addCapability('theft_system_armed');
-      }
+    await this.setStoreValue('username', username);
+    await this.setStoreValue('region', region);
+    await this.setStoreValue('deviceGuid', deviceGuid);
+    await this.setStoreValue('token', token);
 
-      // Add departure time capability
-      if (!this.hasCapability('text_departure_time')) {
-        await this.addCapability('text_departure_time');
-      }
+    // onInit only marks the device unavailable, the repair view has to show the failure
+    await this.onInit();
 
-      // Add departure time mode capability
-      if (!this.hasCapability('text_departure_time_mode')) {
-        await this.addCapability('text_departure_time_mode');
-      }
+    const error = this.initError || this.lastPollError;
+    if (error) {
+      throw error;
+    }
+  }
 
-      // Initialize text capabilities with default values if not set
-      const textCapabilities = [
-        'text_departure_time',
-        'text_departure_time_mode',
-        'text_geofence_last_event',
-        'text_geofence_last_zone',
-        'time_geofence_last_event'
-      ];
+  /**
+   * Query the commands the vehicle supports and add or remove the capabilities that depend on them
+   * Falls back to the last stored result when the query fails; without any result all are kept
+   */
+  async _syncCommandCapabilities() {
+    let supported = this.getStoreValue('commandCapabilities') || null;
 
-      for (const cap of textCapabilities) {
-        if (this.hasCapability(cap) && this.getCapabilityValue(cap) === null) {
-          await this.setCapabilityValue(cap, '-');
-        }
+    try {
+      const discovered = await this.api.refreshCommandCapabilities(this.vin);
+      if (discovered) {
+        supported = discovered;
+        await this.setStoreValue('commandCapabilities', discovered);
+        this.log(`[CAPABILITIES] Vehicle supports ${Object.values(discovered).filter(Boolean).length} of ${Object.keys(discovered).length} commands`);
+      } else {
+        this.log('[CAPABILITIES] No command list in response, keeping previous result');
+        this.api.setCommandCapabilities(this.vin, supported);
       }
+    } catch (error) {
+      this.error('[CAPABILITIES] Failed to query command capabilities:', error.message);
+      this.api.setCommandCapabilities(this.vin, supported);
+    }
 
-      // Connect to WebSocket for real-time updates
-      this.log('[INIT] Connecting to WebSocket for real-time updates...');
+    for (const [capability, commandName] of Object.entries(CAPABILITY_COMMANDS)) {
       try {
-        await this.api.connectWebSocket(this.onWebSocketData.bind(this));
-        this.log('[INIT] WebSocket connection established');
-      } catch (error) {
-        this.error('[INIT] Failed to connect WebSocket:', error.message);
-        this.log('[INIT] Falling back to polling mode');
+        const available = isCommandNameSupported(supported, commandName);
+
+        if (available && !this.hasCapability(capability)) {
+          this.log(`[CAPABILITIES] Adding ${capability} (${commandName} supported)`);
+          await this.addCapability(capability);
+        } else if (!available && this.hasCapability(capability)) {
+          this.log(`[CAPABILITIES] Removing ${capability} (${commandName} not supported)`);
+          await this.removeCapability(capability);
+        }
+      } catch (e) {
+        this.log(`[CAPABILITIES] Could not update ${capability}:`, e.message);
       }
+    }
+  }
 
-      // Start polling for vehicle data (as fallback and for initial data)
-      // If WebSocket is working, this will be less critical
-      const disableAutoRefresh = settings.disable_auto_refresh || false;
-      const pollingInterval = settings.polling_interval || 1800;
+  /**
+   * Stop polling and leave the account session (closes the WebSocket when no vehicle uses it)
+   */
+  async _stopUpdates() {
+    if (this.smartChargingTimer) {
+      clearTimeout(this.smartChargingTimer);
+      this.smartChargingTimer = null;
+    }
 
-      if (!disableAutoRefresh) {
-        this.log(`Starting polling with ${pollingInterval}s interval (WebSocket fallback)`);
-        this.pollInterval = setInterval(
-          this.pollVehicleData.bind(this),
-          pollingInterval * 1000
-        );
-      } else {
-        this.log('Automatic polling disabled - use flow action to refresh data');
-      }
+    if (this.stateSaveTimer) {
+      clearTimeout(this.stateSaveTimer);
+      this.stateSaveTimer = null;
+    }
 
-      // Do initial poll
-      await this.pollVehicleData();
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
 
-      await this.setAvailable();
-      this.log('Mercedes Vehicle device initialized successfully');
+    if (this.commandCapabilitiesInterval) {
+      clearInterval(this.commandCapabilitiesInterval);
+      this.commandCapabilitiesInterval = null;
+    }
 
-    } catch (error) {
-      this.error('Device initialization failed:', error.message);
-      await this.setUnavailable('Initialization failed: ' + error.message);
+    for (const pending of this.pendingStates.values()) {
+      clearTimeout(pending.timer);
+    }
+    this.pendingStates.clear();
+
+    if (this.commandQueue) {
+      this.commandQueue.removeListener('change', this._onCommandQueueChange);
+      this.commandQueue.clear('Vehicle is no longer active');
+      this.commandQueue = null;
     }
+
+    if (this.session) {
+      await this.homey.app.releaseAccountSession(this.session, this.vin);
+      this.session = null;
+    }
+  }
+
+  /**
+   * Get queue depth and the command currently being sent
+   * @returns {Object} { depth, current, pending }
+   */
+  getCommandQueueState() {
+    return this.commandQueue ? this.commandQueue.getState() : { depth: 0, current: null, pending: [] };
+  }
+
+  /**
+   * onUninit is called when the device is destroyed (app restart/update)
+   */
+  async onUninit() {
+    await this._saveVehicleState();
+    await this._stopUpdates();
   }
 
   /**
@@ -408,6 +454,36 @@ class MercedesVehicleDevice extends Homey.Device {
         this.log('Automatic polling disabled - use flow action to refresh data');
       }
     }
+
+    // Show unit-aware capabilities in the newly picked units
+    if (changedKeys.some(key => Object.values(UNIT_SETTINGS).includes(key))) {
+      await this._convertUnitValues(oldSettings, newSettings);
+      await this._applyUnitOptions(newSettings);
+      this.log('Display units updated');
+    }
+
+    // Apply the log level and redaction to this device and the modules of its account session
+    if (changedKeys.some(key => LOG_SETTINGS.includes(key))) {
+      const options = this._getLogOptions(newSettings);
+      this.logger.configure(options);
+      if (this.session) {
+        this.session.setLogOptions(this.vin, options);
+      }
+      this.log(`Logging updated (debug ${options.debug ? 'on' : 'off'})`);
+    }
+  }
+
+  /**
+   * Logging options from the device settings
+   * @param {Object} settings - Device settings
+   * @returns {Object} { debug, redactVins, redactLocation }
+   */
+  _getLogOptions(settings) {
+    return {
+      debug: settings.debug_mode === true,
+      redactVins: settings.log_hide_vin === true,
+      redactLocation: settings.log_hide_location === true
+    };
   }
 
   /**
@@ -423,33 +499,35 @@ class MercedesVehicleDevice extends Homey.Device {
   async onDeleted() {
     this.log('Mercedes Vehicle has been deleted');
 
-    // Clear polling interval
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
-    }
+    // Clear polling interval and leave the account session
+    await this._stopUpdates();
 
-    // Disconnect WebSocket if connected
-    if (this.api && this.api.websocket) {
-      await this.api.disconnectWebSocket();
+    if (this.tripLogger) {
+      this.tripLogger.clear();
+    }
+    if (this.chargingLogger) {
+      this.chargingLogger.clear();
     }
   }
 
   /**
    * Poll vehicle data from Mercedes API
+   * Errors are logged and kept in lastPollError (null after a successful poll), the next poll retries
    */
   async pollVehicleData() {
     try {
-      this.log('[POLL] Starting vehicle data poll for VIN:', this.vin);
+      this.updateLogger.info('Polling vehicle data for VIN:', this.vin);
 
       const vehicleData = await this.api.getVehicleData(this.vin);
 
       if (!vehicleData) {
-        this.error('[POLL] ERROR: No vehicle data received from API');
+        this.updateLogger.error('Poll: no vehicle data received from API');
+        this.lastPollError = new Error('No vehicle data received');
         return;
       }
+      this.lastPollError = null;
 
-      this.log('[POLL] Vehicle data received, updating capabilities...');
-      this.log('[POLL] Data keys:', Object.keys(vehicleData).slice(0, 20).join(', '));
+      this.updateLogger.debug('Poll data keys:', Object.keys(vehicleData).slice(0, 20).join(', '));
 
       // Update capabilities based on vehicle data
       await this.updateCapabilities(vehicleData);
@@ -459,24 +537,24 @@ class MercedesVehicleDevice extends Homey.Device {
         const geofenceEvents = await this.api.getGeofencingViolations(this.vin);
         if (geofenceEvents && geofenceEvents.length > 0) {
           const last = geofenceEvents[geofenceEvents.length - 1];
-          this.log('[POLL] Last geofence event:', last);
+          this.updateLogger.debug('Last geofence event:', last);
 
           // Extract location from geofence event (this is where lat/long come from!)
           if (last.coordinate) {
             if (last.coordinate.latitude !== undefined) {
-              this.log(`[POLL] Setting latitude from geofence: ${last.coordinate.latitude}`);
+              this.updateLogger.debug(`Position from geofence: latitude=${last.coordinate.latitude}`);
               await this.setCapabilityValue('measure_latitude', parseFloat(last.coordinate.latitude));
             }
             if (last.coordinate.longitude !== undefined) {
-              this.log(`[POLL] Setting longitude from geofence: ${last.coordinate.longitude}`);
+              this.updateLogger.debug(`Position from geofence: longitude=${last.coordinate.longitude}`);
               await this.setCapabilityValue('measure_longitude', parseFloat(last.coordinate.longitude));
             }
           }
 
-          // Check if this is a new event
-          const lastEventTime = this.getCapabilityValue('time_geofence_last_event');
+          // Check if this is a new event (event time in the store, it survives restarts)
+          const lastEventTime = this._getGeofenceEventTime();
           const newEventTime = last.time ? new Date(last.time * 1000).toISOString() : null;
-          const isNewEvent = newEventTime && newEventTime !== lastEventTime;
+          const isNewEvent = newEventTime !== null && lastEventTime !== null && last.time * 1000 > lastEventTime;
 
           if (last.type) {
             await this.setCapabilityValue('text_geofence_last_event', last.type);
@@ -488,6 +566,9 @@ class MercedesVehicleDevice extends Homey.Device {
           }
           if (newEventTime) {
             await this.setCapabilityValue('time_geofence_last_event', newEventTime);
+            if (last.time * 1000 !== lastEventTime) {
+              await this.setStoreValue('geofenceEventTime', last.time * 1000);
+            }
           }
 
           // Trigger flow cards for new geofence events
@@ -505,527 +586,570 @@ class MercedesVehicleDevice extends Homey.Device {
           }
         }
       } catch (geoError) {
-        this.log('[POLL] Geofencing update skipped/failed:', geoError.message);
+        this.updateLogger.info('Geofencing update skipped/failed:', geoError.message);
       }
 
-      this.log('[POLL] Vehicle data poll completed successfully');
+      this.updateLogger.info('Vehicle data poll completed');
 
     } catch (error) {
-      this.error('[POLL] ERROR: Failed to poll vehicle data:', error.message);
-      this.error('[POLL] Error stack:', error.stack);
+      this.lastPollError = error;
+      this.updateLogger.error('Failed to poll vehicle data:', error.message);
+      this.updateLogger.debug('Error stack:', error.stack);
+
+      // A revoked refresh token won't recover by itself - ask the user to repair
+      // (TOKEN_REFRESH_FAILED is a network or server error, the next poll retries)
+      if (error.code === 'TOKEN_REVOKED') {
+        await this.setUnavailable(this.homey.__('error.reauth_required'));
+      }
       // Don't set unavailable on temporary errors - polling will retry on next interval
     }
   }
 
+  /**
+   * Handle command state transitions (ENQUEUED, PROCESSING, WAITING, FINISHED, FAILED)
+   * @param {Object} status - { requestId, vin, commandType, state, stateCode, sentAt, timestamp }
+   */
+  async onCommandStatus(status) {
+    this.log(`Command ${status.commandType} (${status.requestId}) is now ${status.state}`);
+
+    await this.homey.flow.getDeviceTriggerCard('command_status_changed')
+      .trigger(this, { command: status.commandType || 'unknown', state: status.state });
+  }
+
   /**
    * Handle real-time data from WebSocket
+   * @param {Object} update - MercedesWebSocket 'vepUpdate' event { vin, data, fullUpdate }
    */
-  async onWebSocketData(vin, vehicleData, isFullUpdate) {
+  async onVepUpdate({ vin, data, fullUpdate }) {
     try {
       // Only process data for this vehicle
       if (vin !== this.vin) {
         return;
       }
 
-      this.log(`[WEBSOCKET] Received ${isFullUpdate ? 'FULL' : 'PARTIAL'} update for vehicle`);
-      this.log(`[WEBSOCKET] Data keys: ${Object.keys(vehicleData).slice(0, 20).join(', ')}`);
+      this.updateLogger.debug(`WebSocket ${fullUpdate ? 'full' : 'partial'} update, keys: ${Object.keys(data).slice(0, 20).join(', ')}`);
 
-      // Update capabilities with the new data
-      await this.updateCapabilities(vehicleData);
-      this.log('[WEBSOCKET] Capabilities updated from WebSocket data');
+      // Update capabilities with the new data (partial updates are merged into the vehicle state)
+      await this.updateCapabilities(data, fullUpdate);
 
     } catch (error) {
-      this.error('[WEBSOCKET] Error processing WebSocket data:', error.message);
+      this.updateLogger.error('Error processing WebSocket data:', error.message);
     }
   }
 
   /**
-   * Update device capabilities from vehicle data
+   * Apply the full vehicle state fetched after a WebSocket sequence gap or reconnect
+   * @param {Object} resync - { vin, reasons, data }, or { vin, reasons, error } when the fetch failed
    */
-  async updateCapabilities(data) {
-    try {
-      this.log('[UPDATE] Updating capabilities from vehicle data...');
-
-      // Door lock status
-      if (data.doorlockstatusvehicle !== undefined) {
-        this.log(`[UPDATE] Door lock status raw value: ${data.doorlockstatusvehicle}`);
-        const locked = data.doorlockstatusvehicle === 2; // 2 = external locked
-        this.log(`[UPDATE] Setting locked to: ${locked}`);
-        if (this.getCapabilityValue('locked') !== locked) {
-          await this.setCapabilityValue('locked', locked);
-
-          // Trigger flow cards
-          if (locked) {
-            await this.homey.flow.getDeviceTriggerCard('vehicle_locked').trigger(this);
-          } else {
-            await this.homey.flow.getDeviceTriggerCard('vehicle_unlocked').trigger(this);
-          }
-        }
-      } else {
-        this.log('[UPDATE] WARNING: doorlockstatusvehicle is undefined');
-      }
+  async onResync({ reasons, data, error }) {
+    if (data) {
+      this.updateLogger.info(`Resync after ${reasons.join(' and ')}`);
+      await this.updateCapabilities(data, true);
+    }
 
-      // Battery state of charge
-      if (data.soc !== undefined) {
-        const battery = parseInt(data.soc);
-        this.log(`[UPDATE] Setting battery to: ${battery}%`);
-        await this.setCapabilityValue('measure_battery', battery);
+    await this._recordResync(reasons, !error);
+  }
 
-        // Trigger low battery warning
-        if (battery < 20 && this.getCapabilityValue('measure_battery') >= 20) {
-          await this.homey.flow.getDeviceTriggerCard('low_battery')
-            .trigger(this, { battery_level: battery });
-        }
-      }
+  /**
+   * Count resyncs in the store and show them in the Diagnostics settings
+   * @param {Array} reasons - 'gap' and/or 'reconnect'
+   * @param {boolean} succeeded - The full state was fetched
+   */
+  async _recordResync(reasons, succeeded) {
+    const stats = this.getStoreValue('resyncStats') || { total: 0, gap: 0, reconnect: 0, failed: 0, last: null };
+    stats.total++;
+    for (const reason of reasons) {
+      stats[reason] = (stats[reason] || 0) + 1;
+    }
+    if (!succeeded) {
+      stats.failed++;
+    }
+    stats.last = Date.now();
 
-      // Charging power (kW) - check both lowercase and camelCase variants
-      const chargingPowerValue = data.chargingpower ?? data.chargingPower;
-      if (chargingPowerValue !== undefined) {
-        const chargingPower = parseFloat(chargingPowerValue);
-        const wasCharging = this.getCapabilityValue('meter_power') > 0;
-        const isCharging = chargingPower > 0;
-
-        await this.setCapabilityValue('meter_power', chargingPower);
-
-        // Trigger charging flow cards
-        if (!wasCharging && isCharging) {
-          await this.homey.flow.getDeviceTriggerCard('charging_started')
-            .trigger(this, { charging_power: chargingPower });
-          this.log(`[TRIGGER] Charging started with ${chargingPower} kW`);
-        } else if (wasCharging && !isCharging) {
-          await this.homey.flow.getDeviceTriggerCard('charging_stopped').trigger(this);
-          this.log('[TRIGGER] Charging stopped');
-        }
+    try {
+      await this.setStoreValue('resyncStats', stats);
+      await this.setSettings({
+        diag_resyncs: `${stats.total} (${stats.gap} after a sequence gap, ${stats.reconnect} after a reconnect, ${stats.failed} failed)`,
+        diag_last_resync: new Date(stats.last).toLocaleString('en-GB', {
+          timeZone: this.homey.clock.getTimezone()
+        })
+      });
+    } catch (err) {
+      this.updateLogger.error('Failed to store resync statistics:', err.message);
+    }
+  }
+
+  /**
+   * Update device capabilities from vehicle data
+   * The update is applied to the vehicle state model first; only capabilities whose
+   * attributes changed in the model are written
+   * @param {Object} data - Vehicle data (parser.extractVehicleData)
+   * @param {boolean} isFullUpdate - Update contains the complete attribute set (defaults to data.full_update)
+   */
+  async updateCapabilities(data, isFullUpdate = data.full_update === true) {
+    try {
+      this.updateLogger.debug(`Updating capabilities from ${isFullUpdate ? 'full' : 'partial'} vehicle data`);
+
+      // Stale or unavailable values must not overwrite good capability values
+      const { data: validData, skipped } = filterValidAttributes(data);
+      if (skipped.length > 0) {
+        this.updateLogger.debug(`Skipping ${skipped.length} attribute(s) without valid status: ${skipped.join(', ')}`);
       }
 
-      // Engine state - check both lowercase and camelCase variants
-      const engineStateValue = data.enginestate ?? data.engineState;
-      if (engineStateValue !== undefined) {
-        const engineRunning = engineStateValue === true || engineStateValue === 'RUNNING';
-        const wasRunning = this.getCapabilityValue('onoff.engine');
+      const changes = this.vehicleState.apply(validData, isFullUpdate);
+      const state = this.vehicleState.toData();
+      this.updateLogger.info(`${changes.size} attribute(s) changed`);
 
-        if (wasRunning !== engineRunning) {
-          await this.setCapabilityValue('onoff.engine', engineRunning);
+      const groupTimestamps = {};
+      for (const mapping of ATTRIBUTE_MAPPINGS) {
+        try {
+          // Data counts as fresh when it was received, even if the value did not change
+          const received = readAttribute(mapping, validData);
+          if (received && received.raw !== undefined && mapping.group) {
+            groupTimestamps[mapping.group] = Math.max(groupTimestamps[mapping.group] || 0, received.timestamp);
+          }
 
-          // Trigger flow cards
-          if (engineRunning) {
-            await this.homey.flow.getDeviceTriggerCard('engine_started').trigger(this);
-          } else {
-            await this.homey.flow.getDeviceTriggerCard('engine_stopped').trigger(this);
+          if (mapping.keys.some(key => changes.has(key))) {
+            await this._applyAttributeMapping(mapping, state);
           }
+        } catch (e) {
+          this.updateLogger.error(`Error updating ${mapping.capability}:`, e.message);
         }
       }
 
-      // Climate control status
-      if (data.precondActive !== undefined) {
-        await this.setCapabilityValue('onoff.climate', data.precondActive === true);
-      }
+      await this._updateDataTimestamps(groupTimestamps);
 
-      // Tire pressures (already converted from kPa to bar in parser)
-      // Check both lowercase and camelCase variants for API compatibility
-      const tirePressureFL = data.tirepressurefrontleft ?? data.tirepressureFrontLeft;
-      if (tirePressureFL !== undefined) {
-        await this.setCapabilityValue('tire_pressure_bar.tire_fl', parseFloat(tirePressureFL));
-      }
-      const tirePressureFR = data.tirepressurefrontright ?? data.tirepressureFrontRight;
-      if (tirePressureFR !== undefined) {
-        await this.setCapabilityValue('tire_pressure_bar.tire_fr', parseFloat(tirePressureFR));
-      }
-      const tirePressureRL = data.tirepressurerearleft ?? data.tirepressureRearLeft;
-      if (tirePressureRL !== undefined) {
-        await this.setCapabilityValue('tire_pressure_bar.tire_rl', parseFloat(tirePressureRL));
-      }
-      const tirePressureRR = data.tirepressurerearright ?? data.tirepressureRearRight;
-      if (tirePressureRR !== undefined) {
-        await this.setCapabilityValue('tire_pressure_bar.tire_rr', parseFloat(tirePressureRR));
-      }
-
-      // Odometer reading
-      if (data.odo !== undefined) {
-        this.log(`[UPDATE] Setting odometer to: ${data.odo} km`);
-        await this.setCapabilityValue('odometer', parseFloat(data.odo));
+      const trip = this.tripLogger.update(state, changes, {
+        latitude: this.getCapabilityValue('measure_latitude'),
+        longitude: this.getCapabilityValue('measure_longitude')
+      });
+      if (trip) {
+        await this._triggerTripFinished(trip);
       }
 
-      // Trip distance since start - check both lowercase and camelCase variants
-      const distanceStartValue = data.distancestart ?? data.distanceStart;
-      if (distanceStartValue !== undefined) {
-        this.log(`[UPDATE] Setting trip distance to: ${distanceStartValue} km`);
-        await this.setCapabilityValue('distance_start', parseFloat(distanceStartValue));
+      const session = this.chargingLogger.update(state, changes, this._getChargingTariff());
+      if (session) {
+        await this._triggerChargingSessionFinished(session);
       }
 
-      // Electric trip distance - check both lowercase and camelCase variants
-      const distanceElectricalValue = data.distanceelectricalstart ?? data.distanceElectricalStart;
-      if (distanceElectricalValue !== undefined) {
-        this.log(`[UPDATE] Setting electric distance to: ${distanceElectricalValue} km`);
-        await this.setCapabilityValue('distance_electrical', parseFloat(distanceElectricalValue));
+      if (this.smartCharging && SMART_CHARGING_KEYS.some(key => changes.has(key))) {
+        await this._replanCharging('vehicle update');
       }
 
-      // Driving time since start - check both lowercase and camelCase variants
-      const drivenTimeValue = data.driventimestart ?? data.drivenTimeStart;
-      if (drivenTimeValue !== undefined) {
-        this.log(`[UPDATE] Setting driving time to: ${drivenTimeValue} min`);
-        await this.setCapabilityValue('driven_time_start', parseInt(drivenTimeValue));
+      if (changes.size > 0) {
+        this._scheduleStateSave();
       }
 
-      // Average speed since start - check both lowercase and camelCase variants
-      const averageSpeedValue = data.averagespeedstart ?? data.averageSpeedStart;
-      if (averageSpeedValue !== undefined) {
-        const speed = parseFloat(averageSpeedValue);
-        this.log(`[UPDATE] Setting average speed to: ${speed} km/h`);
-        await this.setCapabilityValue('average_speed', speed);
-      } else {
-        // Set to 0 when not available (car is stopped)
-        await this.setCapabilityValue('average_speed', 0);
+      // Debug: Log all attributes containing 'temp' or 'battery' to find correct key
+      const tempBatteryKeys = Object.keys(data).filter(k =>
+        k.toLowerCase().includes('temp') || k.toLowerCase().includes('battery')
+      );
+      if (tempBatteryKeys.length > 0) {
+        this.updateLogger.debug('Temperature/Battery related attributes:', tempBatteryKeys.map(k => `${k}=${data[k]}`).join(', '));
       }
 
-      const ecoScoreAccel = data.ecoscoreaccel ?? data.ecoScoreAccel ?? data.ecoscoreAccel;
-      if (ecoScoreAccel !== undefined) {
-        this.log(`[UPDATE] Setting acceleration eco score to: ${ecoScoreAccel}`);
-        await this.setCapabilityValue('ecoscore_accel', parseInt(ecoScoreAccel));
-      }
-      const ecoScoreConst = data.ecoscoreconst ?? data.ecoScoreConst ?? data.ecoscoreConst;
-      if (ecoScoreConst !== undefined) {
-        this.log(`[UPDATE] Setting constant eco score to: ${ecoScoreConst}`);
-        await this.setCapabilityValue('ecoscore_const', parseInt(ecoScoreConst));
-      }
-      const ecoScoreFreeWhl = data.ecoscorefreewhl ?? data.ecoScoreFreeWhl ?? data.ecoscoreFreeWhl ?? data.ecoScoreFreewheel;
-      if (ecoScoreFreeWhl !== undefined) {
-        this.log(`[UPDATE] Setting freewheel eco score to: ${ecoScoreFreeWhl}`);
-        await this.setCapabilityValue('ecoscore_freewhl', parseInt(ecoScoreFreeWhl));
-      }
+    } catch (error) {
+      this.updateLogger.error('Error updating capabilities:', error.message);
+    }
+  }
 
-      // Generic alarm (warnings) with trigger
-      const hasWarning = data.warningwashwater || data.warningcoolantlevellow ||
-                        data.warningbrakefluid || data.warningenginelight;
-      const hadWarning = this.getCapabilityValue('alarm_generic');
-      await this.setCapabilityValue('alarm_generic', hasWarning === true);
+  /**
+   * Update one capability from vehicle data and fire its flow triggers
+   * @param {Object} mapping - Entry of ATTRIBUTE_MAPPINGS
+   * @param {Object} data - Vehicle state (VehicleState.toData)
+   * @param {Object} [options]
+   * @param {boolean} [options.triggers=true] - Fire the flow triggers of the mapping
+   */
+  async _applyAttributeMapping(mapping, data, { triggers = true } = {}) {
+    const reading = readAttribute(mapping, data);
+    if (!reading) {
+      return;
+    }
 
-      // Trigger warning light activated when a new warning appears
-      if (hasWarning === true && hadWarning !== true) {
-        await this.homey.flow.getDeviceTriggerCard('warning_light_activated').trigger(this);
-      }
+    const { capability } = mapping;
+    const { raw } = reading;
+    let { value } = reading;
 
-      // --- NEW CAPABILITIES ---
+    // Command-backed capabilities are removed when the vehicle does not support the command
+    if (!this.hasCapability(capability)) {
+      return;
+    }
 
-      // Electric range
-      if (data.rangeelectric !== undefined) {
-        this.log(`[UPDATE] Setting electric range to: ${data.rangeelectric} km`);
-        await this.setCapabilityValue('measure_range_electric', parseFloat(data.rangeelectric));
-      }
+    if (mapping.confirm && !this._acceptReportedState(capability, value)) {
+      return;
+    }
 
-      // Liquid fuel range
-      if (data.rangeliquid !== undefined) {
-        this.log(`[UPDATE] Setting liquid range to: ${data.rangeliquid} km`);
-        await this.setCapabilityValue('measure_range_liquid', parseFloat(data.rangeliquid));
-      }
+    // Values are metric, show them in the unit picked in the device settings
+    if (mapping.quantity && typeof value === 'number') {
+      value = getDisplayUnit(mapping.quantity, this.getSettings()).toDisplay(value);
+    }
 
-      // Fuel level
-      if (data.tanklevelpercent !== undefined) {
-        this.log(`[UPDATE] Setting fuel level to: ${data.tanklevelpercent}%`);
-        await this.setCapabilityValue('measure_fuel', parseInt(data.tanklevelpercent));
-      }
+    const previous = this.getCapabilityValue(capability);
+    this.updateLogger.debug(`Setting ${capability} to: ${value}${raw !== undefined && raw !== value ? ` (raw: ${raw})` : ''}`);
+    await this.setCapabilityValue(capability, value);
 
-      // AdBlue level
-      if (data.tankLevelAdBlue !== undefined) {
-        this.log(`[UPDATE] Setting AdBlue level to: ${data.tankLevelAdBlue}%`);
-        await this.setCapabilityValue('measure_adblue_level', parseInt(data.tankLevelAdBlue));
+    for (const trigger of (triggers && mapping.triggers) || []) {
+      if (trigger.when(value, previous)) {
+        const tokens = trigger.tokens ? trigger.tokens(value, { data, device: this }) : {};
+        await this.homey.flow.getDeviceTriggerCard(trigger.card).trigger(this, tokens);
+        this.updateLogger.info(`Trigger ${trigger.card}`, tokens);
       }
+    }
+  }
 
+  /**
+   * Fire the "trip finished" flow trigger
+   * Distance and speed tokens are shown in the units of the device settings
+   * @param {Object} trip - Trip recorded by TripLogger
+   */
+  async _triggerTripFinished(trip) {
+    const settings = this.getSettings();
+    const tokens = {
+      distance: getDisplayUnit('distance', settings).toDisplay(trip.distance),
+      duration: trip.duration,
+      average_speed: getDisplayUnit('speed', settings).toDisplay(trip.averageSpeed),
+      ecoscore_accel: trip.ecoscoreAccel || 0,
+      ecoscore_const: trip.ecoscoreConst || 0,
+      ecoscore_freewhl: trip.ecoscoreFreewhl || 0,
+      electric_share: trip.electricShare || 0,
+      start_latitude: trip.startLatitude || 0,
+      start_longitude: trip.startLongitude || 0,
+      end_latitude: trip.endLatitude || 0,
+      end_longitude: trip.endLongitude || 0
+    };
+
+    await this.homey.flow.getDeviceTriggerCard('trip_finished').trigger(this, tokens);
+    this.updateLogger.info('Trigger trip_finished', tokens);
+  }
 
-      // Ignition state (onoff.ignition)
-      if (data.ignitionstate !== undefined) {
-        const ignitionOn = data.ignitionstate === '0' || data.ignitionstate === '1' || data.ignitionstate === '2' || data.ignitionstate === '4'; // 0: lock, 1: radio, 2: ignition, 4: start
-        // HA logic: 0=lock, 1=off, 2=accessory, 4=on, 5=start?
-        // Let's check car.py logic if possible, but for now assume any active state is 'on'
-        // Actually, let's just store the raw value if we can, but onoff needs boolean.
-        // Better logic: if it's not 0 (lock), it's "on" (some activity)
-        this.log(`[UPDATE] Setting ignition state to: ${ignitionOn} (raw: ${data.ignitionstate})`);
-        await this.setCapabilityValue('onoff.ignition', ignitionOn);
-      }
+  /**
+   * Price per kWh from the device settings
+   * @returns {Object} { price, currency }
+   */
+  _getChargingTariff() {
+    const settings = this.getSettings();
+    return {
+      price: Number(settings.charging_price) || 0,
+      currency: settings.charging_currency || 'EUR'
+    };
+  }
 
-      // Oil level (percent)
-      if (data.oilLevel !== undefined) {
-        this.log(`[UPDATE] Setting oil level to: ${data.oilLevel}%`);
-        await this.setCapabilityValue('measure_oil_level', parseInt(data.oilLevel));
-      }
+  /**
+   * Fire the "charging session finished" flow trigger
+   * @param {Object} session - Session recorded by ChargingLogger
+   */
+  async _triggerChargingSessionFinished(session) {
+    const tokens = {
+      energy: session.energy,
+      duration: session.duration,
+      start_soc: session.startSoc || 0,
+      end_soc: session.endSoc || 0,
+      peak_power: session.peakPower,
+      average_power: session.averagePower,
+      cost: session.cost || 0,
+      currency: session.currency || ''
+    };
+
+    await this.homey.flow.getDeviceTriggerCard('charging_session_finished').trigger(this, tokens);
+    this.updateLogger.info('Trigger charging_session_finished', tokens);
+  }
 
-      // Charging status (text) with charging completed trigger
-      if (data.chargingstatus !== undefined) {
-        const oldStatus = this.getCapabilityValue('text_charging_status');
-        this.log(`[UPDATE] Setting charging status to: ${data.chargingstatus}`);
-        await this.setCapabilityValue('text_charging_status', String(data.chargingstatus));
-
-        // Trigger charging completed when status changes to completed/finished
-        const completedStatuses = ['FINISHED', 'COMPLETED', 'END', '4'];
-        const wasCharging = oldStatus && !completedStatuses.includes(String(oldStatus).toUpperCase());
-        const isCompleted = completedStatuses.includes(String(data.chargingstatus).toUpperCase());
-
-        if (wasCharging && isCompleted) {
-          const batteryLevel = this.getCapabilityValue('measure_battery') || 0;
-          await this.homey.flow.getDeviceTriggerCard('charging_completed')
-            .trigger(this, { battery_level: batteryLevel });
-        }
-      }
+  /**
+   * Charging power for the smart charging plan in kW
+   * The current charging power, else the average of the last charging session
+   */
+  _estimateChargingPower() {
+    const power = this.getCapabilityValue('meter_power');
+    if (power > 0) {
+      return power;
+    }
+    const [last] = this.chargingLogger.getHistory();
+    return last && last.averagePower > 0 ? last.averagePower : chargePlanner.DEFAULT_POWER;
+  }
 
-      // Selected charge program (text)
-      if (data.selectedChargeProgram !== undefined) {
-        this.log(`[UPDATE] Setting selected charge program to: ${data.selectedChargeProgram}`);
-        await this.setCapabilityValue('text_charge_program', String(data.selectedChargeProgram));
-      }
+  /**
+   * Compute the smart charging plan from the current SoC and apply the max SoC of this moment
+   * Runs when the plan is set, at every slot boundary and on SoC / end of charge time updates
+   * @param {string} reason - For the log
+   * @returns {Promise<Object|null>} The plan (charge-planner planCharging), null when it ended
+   */
+  async _replanCharging(reason) {
+    if (this.smartChargingTimer) {
+      clearTimeout(this.smartChargingTimer);
+      this.smartChargingTimer = null;
+    }
+    if (!this.smartCharging) {
+      return null;
+    }
 
-      // Max SoC (check both maxSoc and max_soc as API may use either)
-      const maxSocValue = data.maxSoc !== undefined ? data.maxSoc : data.max_soc;
-      if (maxSocValue !== undefined) {
-        this.log(`[UPDATE] Setting max SoC to: ${maxSocValue}%`);
-        await this.setCapabilityValue('measure_max_soc', parseInt(maxSocValue));
-      }
+    const now = Date.now();
+    const { prices, targetSoc, departure } = this.smartCharging;
 
-      // End of charge time (timestamp)
-      if (data.endofchargetime !== undefined) {
-        this.log(`[UPDATE] Setting end of charge time to: ${data.endofchargetime}`);
-        // Format: "13:45" or timestamp? Parser says 'display_value' usually
-        // If it's a time string, we might need to combine with today's date
-        // For now, just store as string if we make a text capability, but date capability needs Date object
-        // Let's assume it's a string for now and we'll use a text capability 'text_end_charge_time'
-        await this.setCapabilityValue('text_end_charge_time', String(data.endofchargetime));
-      }
+    try {
+      if (now >= departure) {
+        this.log('[SMART CHARGING] Departure time reached, plan finished');
+        await this._applyMaxSoc(chargePlanner.roundMaxSoc(targetSoc));
+        await this._setSmartCharging(null);
+        return null;
+      }
+
+      const soc = this.getCapabilityValue('measure_battery');
+      if (typeof soc !== 'number') {
+        this.log('[SMART CHARGING] No battery level yet, waiting for vehicle data');
+        return null;
+      }
+
+      const plan = chargePlanner.planCharging({
+        prices,
+        now,
+        departure,
+        soc,
+        targetSoc,
+        capacity: Number(this.getSettings().battery_capacity) || 80,
+        power: this._estimateChargingPower()
+      });
+      const windows = plan.slots.map(slot => `${new Date(slot.start).toISOString()}-${new Date(slot.end).toISOString()}${slot.forced ? ' (to 50%)' : ''}`);
+      this.log(`[SMART CHARGING] Plan (${reason}): ${plan.energy} kWh, ${plan.hours} h, cost ${plan.cost}${plan.feasible ? '' : ' (not enough time before departure)'}, slots: ${windows.join(', ') || 'none'}`);
 
-      // Sunroof status (text)
-      if (data.sunroofstatus !== undefined) {
-        const sunroofMap = {
-          0: 'Closed',
-          1: 'Open',
-          2: 'Tilted',
-          3: 'Running',
-          4: 'Anti-Booming',
-          5: 'Intermediate',
-          6: 'Opening',
-          7: 'Closing'
-        };
-        const sunroofStatus = sunroofMap[data.sunroofstatus] || String(data.sunroofstatus);
-        this.log(`[UPDATE] Setting sunroof status to: ${sunroofStatus} (raw: ${data.sunroofstatus})`);
-        await this.setCapabilityValue('window_sunroof', sunroofStatus);
-      }
+      await this._applyMaxSoc(chargePlanner.getMaxSoc(plan, now, soc));
 
-      // Departure Time
-      if (data.departuretime !== undefined) {
-        this.log(`[UPDATE] Setting departure time to: ${data.departuretime}`);
-        await this.setCapabilityValue('text_departure_time', data.departuretime);
-      }
+      const next = chargePlanner.getNextChange(plan, now) || departure;
+      this.smartChargingTimer = setTimeout(() => {
+        this._replanCharging('schedule');
+      }, next - now);
 
-      // Departure Time Mode (check multiple possible field names)
-      const departureTimeModeRaw = data.departureTimeMode !== undefined ? data.departureTimeMode :
-                                   data.departuretimemode !== undefined ? data.departuretimemode :
-                                   data.departuretime_mode;
-      if (departureTimeModeRaw !== undefined) {
-        const departureModeMap = {
-          0: 'Inactive',
-          1: 'Single',
-          2: 'Weekly'
-        };
-        const departureTimeModeValue = departureModeMap[departureTimeModeRaw] || String(departureTimeModeRaw);
-        this.log(`[UPDATE] Setting departure time mode to: ${departureTimeModeValue} (raw: ${departureTimeModeRaw})`);
-        await this.setCapabilityValue('text_departure_time_mode', departureTimeModeValue);
-      }
+      return plan;
+    } catch (error) {
+      this.error('[SMART CHARGING] Failed to apply plan:', error.message);
+      // Try again at the next vehicle update or in 15 minutes
+      this.smartChargingTimer = setTimeout(() => {
+        this._replanCharging('retry');
+      }, 15 * 60 * 1000);
+      return null;
+    }
+  }
 
-      // Position latitude/longitude are NOT available in vehicle attributes API
-      // They come from geofencing violations API (polled separately)
-      const posLat = data.positionlat ?? data.positionLat ?? data.latitude ?? data.gpsLat ?? data.gpslat;
-      const posLong = data.positionlong ?? data.positionLong ?? data.longitude ?? data.gpsLon ?? data.gpslon;
-      if (posLat !== undefined && posLong !== undefined) {
-        const lat = parseFloat(posLat);
-        const long = parseFloat(posLong);
-        this.log(`[UPDATE] Setting location: ${lat}, ${long}`);
-        await this.setCapabilityValue('measure_latitude', lat);
-        await this.setCapabilityValue('measure_longitude', long);
-      }
+  /**
+   * Send the max SoC to the vehicle when it differs from the one applied last
+   * @param {number} maxSoc - Max SoC in % (50-100, steps of 10)
+   */
+  async _applyMaxSoc(maxSoc) {
+    if (this.smartCharging && this.smartCharging.appliedMaxSoc === maxSoc) {
+      return;
+    }
+    this.log(`[SMART CHARGING] Setting max SoC to ${maxSoc}%`);
+    await this.api.configureBatteryMaxSoc(this.vin, maxSoc);
+    if (this.smartCharging) {
+      await this._setSmartCharging({ ...this.smartCharging, appliedMaxSoc: maxSoc });
+    }
+  }
 
-      // Heading - the correct field name is positionHeading (camelCase)
-      const posHeading = data.positionHeading ?? data.positionheading ?? data.heading ?? data.gpsHeading ?? data.gpsheading;
-      if (posHeading !== undefined) {
-        const heading = parseFloat(posHeading);
-        this.log(`[UPDATE] Setting heading: ${heading}`);
-        await this.setCapabilityValue('measure_heading', heading);
-      }
+  /**
+   * Store the smart charging plan input, null removes it
+   * @param {Object|null} smartCharging
+   */
+  async _setSmartCharging(smartCharging) {
+    this.smartCharging = smartCharging;
+    if (smartCharging) {
+      await this.setStoreValue('smartCharging', smartCharging);
+    } else {
+      await this.unsetStoreValue('smartCharging');
+    }
+  }
 
-      // Window statuses with flow triggers
-      const windowMappings = [
-        { key: 'windowstatusfrontleft', cap: 'window_front_left', name: 'front_left' },
-        { key: 'windowstatusfrontright', cap: 'window_front_right', name: 'front_right' },
-        { key: 'windowstatusrearleft', cap: 'window_rear_left', name: 'rear_left' },
-        { key: 'windowstatusrearright', cap: 'window_rear_right', name: 'rear_right' }
-      ];
+  /**
+   * Fill capabilities without a value (e.g. added by a migration) from the restored vehicle state
+   * Restored values are not changes, so no flow triggers are fired
+   */
+  async _restoreCapabilities() {
+    if (this.vehicleState.size === 0) {
+      return;
+    }
 
-      for (const win of windowMappings) {
-        if (data[win.key] !== undefined) {
-          try {
-            if (!this.hasCapability(win.cap)) {
-              this.log(`[UPDATE] Skipping ${win.cap} - capability not available (re-pair device to fix)`);
-              continue;
-            }
-            const windowStatusMap = {
-              0: 'Intermediate',
-              1: 'Open',
-              2: 'Closed',
-              3: 'Airing',
-              4: 'Running'
-            };
-            const rawStatus = data[win.key];
-            const newStatus = windowStatusMap[rawStatus] || String(rawStatus);
-            const oldStatus = this.getCapabilityValue(win.cap);
-            await this.setCapabilityValue(win.cap, newStatus);
-
-            // Trigger flow cards on status change
-            if (oldStatus !== newStatus) {
-              if (newStatus === 'Closed' || newStatus === 'CLOSED' || newStatus === '2') {
-                await this.homey.flow.getDeviceTriggerCard('window_closed')
-                  .trigger(this, { window: win.name });
-              } else if (newStatus === 'Open' || newStatus === 'OPEN' || newStatus === '1' || newStatus === 'Intermediate' || newStatus === 'Airing') {
-                await this.homey.flow.getDeviceTriggerCard('window_opened')
-                  .trigger(this, { window: win.name });
-              }
-            }
-          } catch (e) {
-            this.log(`[UPDATE] Error updating ${win.cap}:`, e.message);
-          }
-        }
+    const state = this.vehicleState.toData();
+    for (const mapping of ATTRIBUTE_MAPPINGS) {
+      if (!this.hasCapability(mapping.capability) || this.getCapabilityValue(mapping.capability) !== null) {
+        continue;
       }
+      try {
+        await this._applyAttributeMapping(mapping, state, { triggers: false });
+      } catch (e) {
+        this.log(`[INIT] Could not restore ${mapping.capability}:`, e.message);
+      }
+    }
+  }
 
-      // Door statuses with flow triggers
-      const doorMappings = [
-        { keys: ['doorstatusfrontleft', 'doorStatusFrontLeft', 'doorFrontLeftStatus'], cap: 'door_front_left', name: 'front_left' },
-        { keys: ['doorstatusfrontright', 'doorStatusFrontRight', 'doorFrontRightStatus'], cap: 'door_front_right', name: 'front_right' },
-        { keys: ['doorstatusrearleft', 'doorStatusRearLeft', 'doorRearLeftStatus'], cap: 'door_rear_left', name: 'rear_left' },
-        { keys: ['doorstatusrearright', 'doorStatusRearRight', 'doorRearRightStatus'], cap: 'door_rear_right', name: 'rear_right' },
-        { keys: ['decklidstatus', 'decklidStatus', 'trunkStatus'], cap: 'door_trunk', name: 'trunk' },
-        { keys: ['enginehoodstatus', 'engineHoodStatus', 'hoodStatus'], cap: 'door_hood', name: 'hood' }
-      ];
+  /**
+   * Write the vehicle state snapshot to the store once the current burst of updates is over
+   */
+  _scheduleStateSave() {
+    if (this.stateSaveTimer) {
+      return;
+    }
+    this.stateSaveTimer = setTimeout(() => {
+      this.stateSaveTimer = null;
+      this._saveVehicleState();
+    }, STATE_SAVE_DELAY);
+  }
 
-      for (const door of doorMappings) {
-        // Find the first matching key
-        const matchingKey = door.keys.find(k => data[k] !== undefined);
-        if (matchingKey !== undefined && data[matchingKey] !== undefined) {
-          try {
-            if (!this.hasCapability(door.cap)) {
-              this.log(`[UPDATE] Skipping ${door.cap} - capability not available (re-pair device to fix)`);
-              continue;
-            }
-            const doorData = data[matchingKey];
-            const newStatus = doorData === true ? 'Open' : doorData === false ? 'Closed' : String(doorData);
-            const oldStatus = this.getCapabilityValue(door.cap);
-            await this.setCapabilityValue(door.cap, newStatus);
-
-            // Trigger flow cards on status change
-            if (oldStatus !== newStatus) {
-              if (newStatus === 'Closed' || newStatus === 'CLOSED' || newStatus === 'false' || newStatus === '0') {
-                await this.homey.flow.getDeviceTriggerCard('door_closed')
-                  .trigger(this, { door: door.name });
-              } else if (newStatus === 'Open' || newStatus === 'OPEN' || newStatus === 'true' || newStatus === '1') {
-                await this.homey.flow.getDeviceTriggerCard('door_opened')
-                  .trigger(this, { door: door.name });
-              }
-            }
-          } catch (e) {
-            this.log(`[UPDATE] Error updating ${door.cap}:`, e.message);
-          }
-        }
-      }
+  /**
+   * Persist the vehicle state snapshot (attributes with their status and timestamps)
+   */
+  async _saveVehicleState() {
+    if (this.stateSaveTimer) {
+      clearTimeout(this.stateSaveTimer);
+      this.stateSaveTimer = null;
+    }
+    if (!this.vehicleState || this.vehicleState.size === 0) {
+      return;
+    }
 
-      // Parking brake status
-      if (data.parkbrakestatus !== undefined) {
-        const parkBrakeEngaged = data.parkbrakestatus === true || data.parkbrakestatus === 'true' || data.parkbrakestatus === 1;
-        await this.setCapabilityValue('parking_brake_engaged', parkBrakeEngaged);
-      }
+    try {
+      await this.setStoreValue('vehicleState', this.vehicleState.toJSON());
+    } catch (error) {
+      this.error('[STATE] Failed to store vehicle state:', error.message);
+    }
+  }
 
-      // Service interval days
-      if (data.serviceintervaldays !== undefined) {
-        await this.setCapabilityValue('measure_service_days', parseInt(data.serviceintervaldays));
-      }
+  /**
+   * Time of the last handled geofence event in ms, or null before the first poll
+   * Devices from older versions only have the event time in the capability
+   * @returns {number|null}
+   */
+  _getGeofenceEventTime() {
+    const stored = this.getStoreValue('geofenceEventTime');
+    if (typeof stored === 'number') {
+      return stored;
+    }
+    const time = Date.parse(this.getCapabilityValue('time_geofence_last_event'));
+    return Number.isNaN(time) ? null : time;
+  }
 
-      // Battery temperature (EV) - check various possible attribute names
-      // Mercedes uses different naming conventions: temperaturehvbattery, hvbatterytemperature, etc.
-      const batteryTempValue = data.temperaturehvbattery ?? data.temperatureHVBattery ??
-        data.hvbatterytemperature ?? data.hvBatteryTemperature ??
-        data.ecoelectricbatterytemperature ?? data.ecoElectricBatteryTemperature ??
-        data.batterytemperature ?? data.batteryTemperature;
-      if (batteryTempValue !== undefined) {
-        this.log('[DATA] Battery temperature found:', batteryTempValue);
-        await this.setCapabilityValue('measure_battery_temperature', parseFloat(batteryTempValue));
+  /**
+   * Record the newest measurement time per data group and show it in the device settings
+   * @param {Object} groupTimestamps - { group: timestamp in ms } of this update
+   */
+  async _updateDataTimestamps(groupTimestamps) {
+    const labels = {};
+    for (const [group, timestamp] of Object.entries(groupTimestamps)) {
+      if (!this.dataTimestamps[group] || timestamp > this.dataTimestamps[group]) {
+        this.dataTimestamps[group] = timestamp;
+        labels[`last_update_${group}`] = new Date(timestamp).toLocaleString('en-GB', {
+          timeZone: this.homey.clock.getTimezone()
+        });
       }
+    }
 
-      // Debug: Log all attributes containing 'temp' or 'battery' to find correct key
-      const tempBatteryKeys = Object.keys(data).filter(k =>
-        k.toLowerCase().includes('temp') || k.toLowerCase().includes('battery')
-      );
-      if (tempBatteryKeys.length > 0) {
-        this.log('[DEBUG] Temperature/Battery related attributes:', tempBatteryKeys.map(k => `${k}=${data[k]}`).join(', '));
-      }
+    if (Object.keys(labels).length === 0) {
+      return;
+    }
 
-      // Preconditioning status - check both lowercase and camelCase variants
-      const precondActiveValue = data.precondactive ?? data.precondActive;
-      if (precondActiveValue !== undefined) {
-        const precondActive = precondActiveValue === true || precondActiveValue === 'true' || precondActiveValue === 1;
-        await this.setCapabilityValue('onoff_precond', precondActive);
-      }
+    try {
+      await this.setStoreValue('dataTimestamps', this.dataTimestamps);
+      await this.setSettings(labels);
+    } catch (error) {
+      this.updateLogger.error('Failed to store data timestamps:', error.message);
+    }
+  }
 
-      // Auxiliary heating status - check both lowercase and camelCase variants
-      const auxheatActiveValue = data.auxheatactive ?? data.auxheatActive;
-      if (auxheatActiveValue !== undefined) {
-        const auxheatActive = auxheatActiveValue === true || auxheatActiveValue === 'true' || auxheatActiveValue === 1;
-        await this.setCapabilityValue('onoff_auxheat', auxheatActive);
-      }
+  /**
+   * Run a state-changing command with an optimistic capability update
+   * The capability is set right away and marked pending until the vehicle reports the
+   * new state; it is rolled back when the command fails or is never confirmed
+   * @param {string} capability - Capability controlled by the command
+   * @param {boolean} value - Expected value after the command
+   * @param {Function} send - Sends the command, returns a promise
+   */
+  async _runStateCommand(capability, value, send) {
+    const existing = this.pendingStates.get(capability);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
 
-      // Remote start status - check both lowercase and camelCase variants
-      const remoteStartActiveValue = data.remotestartactive ?? data.remoteStartActive;
-      if (remoteStartActiveValue !== undefined) {
-        const remoteStartActive = remoteStartActiveValue === true || remoteStartActiveValue === 'true' || remoteStartActiveValue === 1;
-        await this.setCapabilityValue('onoff_remote_start', remoteStartActive);
-      }
+    this.pendingStates.set(capability, {
+      value,
+      previous: existing ? existing.previous : this.getCapabilityValue(capability),
+      reported: undefined,
+      timer: null
+    });
+    await this.setCapabilityValue(capability, value);
+    this.log(`[PENDING] ${capability} set to ${value}, waiting for confirmation`);
 
-      // Theft system armed status - check both lowercase and camelCase variants
-      const theftSystemArmedValue = data.theftsystemarmed ?? data.theftSystemArmed;
-      if (theftSystemArmedValue !== undefined) {
-        const theftArmed = theftSystemArmedValue === true || theftSystemArmedValue === 'true' || theftSystemArmedValue === 1;
-        await this.setCapabilityValue('theft_system_armed', theftArmed);
-      }
+    try {
+      await send();
+    } catch (error) {
+      await this._rollbackPendingState(capability, 'failed');
+      throw error;
+    }
 
-      // Theft alarm status - check both lowercase and camelCase variants
-      const theftAlarmActiveValue = data.theftalarmactive ?? data.theftAlarmActive;
-      const lastTheftWarningValue = data.lasttheftwarning ?? data.lastTheftWarning;
-      if (theftAlarmActiveValue !== undefined || lastTheftWarningValue !== undefined) {
-        const theftActive = theftAlarmActiveValue === true || theftAlarmActiveValue === 1;
-        const wasTheftActive = this.getCapabilityValue('alarm_theft');
-        await this.setCapabilityValue('alarm_theft', theftActive);
-
-        // Trigger vehicle alarm flow card when alarm activates
-        if (theftActive && !wasTheftActive) {
-          const reasonValue = data.lasttheftwarningreason ?? data.lastTheftWarningReason;
-          const reason = reasonValue || 'UNKNOWN';
-          await this.homey.flow.getDeviceTriggerCard('vehicle_alarm')
-            .trigger(this, { reason: String(reason) });
-        }
+    // Command accepted - wait for the vehicle to report the new state. When the vehicle
+    // already is in that state no attribute changes, so confirm it from the known state
+    const pending = this.pendingStates.get(capability);
+    if (pending && pending.value === value) {
+      if (readValue(capability, this.vehicleState.toData()) === value) {
+        this.pendingStates.delete(capability);
+        this.log(`[PENDING] ${capability} already reported by vehicle: ${value}`);
+      } else {
+        pending.timer = setTimeout(() => {
+          this._rollbackPendingState(capability, 'not_confirmed')
+            .catch(error => this.error(`[PENDING] Rollback of ${capability} failed:`, error.message));
+        }, STATE_CONFIRM_TIMEOUT);
       }
+    }
 
-      // Geofence data from WebSocket (if available) - check multiple possible field names
-      const geofenceZone = data.geofencename ?? data.geofenceName ?? data.geofence_name ??
-                           data.lastgeofencezone ?? data.lastGeofenceZone ?? data.currentzone ?? data.currentZone;
-      if (geofenceZone !== undefined) {
-        this.log(`[UPDATE] Setting geofence zone to: ${geofenceZone}`);
-        await this.setCapabilityValue('text_geofence_last_zone', String(geofenceZone));
-      }
+    // Poll immediately to update state
+    setTimeout(() => this.pollVehicleData(), 5000);
+  }
 
-      const geofenceEvent = data.geofenceevent ?? data.geofenceEvent ?? data.geofence_event ??
-                            data.lastgeofenceevent ?? data.lastGeofenceEvent;
-      if (geofenceEvent !== undefined) {
-        this.log(`[UPDATE] Setting geofence event to: ${geofenceEvent}`);
-        await this.setCapabilityValue('text_geofence_last_event', String(geofenceEvent));
-      }
+  /**
+   * Check a reported vehicle state against a pending optimistic update
+   * @param {string} capability - Capability the vehicle reported
+   * @param {boolean} value - Reported value
+   * @returns {boolean} true if the reported value may be applied to the capability
+   */
+  _acceptReportedState(capability, value) {
+    const pending = this.pendingStates.get(capability);
+    if (!pending) {
+      return true;
+    }
 
-      this.log('Capabilities updated successfully');
+    if (pending.value === value) {
+      clearTimeout(pending.timer);
+      this.pendingStates.delete(capability);
+      this.log(`[PENDING] ${capability} confirmed by vehicle: ${value}`);
+      return true;
+    }
 
-    } catch (error) {
-      this.error('Error updating capabilities:', error.message);
+    // Vehicle has not caught up yet, keep the optimistic value until confirmed or timed out
+    pending.reported = value;
+    this.log(`[PENDING] ${capability} still reported as ${value}, keeping pending ${pending.value}`);
+    return false;
+  }
+
+  /**
+   * Restore the last known state of a pending capability and notify the user
+   * @param {string} capability - Capability to roll back
+   * @param {string} reason - 'failed' or 'not_confirmed'
+   */
+  async _rollbackPendingState(capability, reason) {
+    const pending = this.pendingStates.get(capability);
+    if (!pending) {
+      return;
     }
+
+    clearTimeout(pending.timer);
+    this.pendingStates.delete(capability);
+
+    const value = pending.reported !== undefined ? pending.reported : pending.previous;
+    this.log(`[PENDING] Rolling back ${capability} to ${value} (${reason})`);
+    await this.setCapabilityValue(capability, value);
+
+    await this.homey.notifications.createNotification({
+      excerpt: this.homey.__(`command_rollback.${reason}`, {
+        device: this.getName(),
+        capability: this.homey.__(`command_rollback.capability.${capability}`)
+      })
+    }).catch(error => this.error('[PENDING] Failed to send notification:', error.message));
   }
 
   /**
@@ -1042,19 +1166,14 @@ class MercedesVehicleDevice extends Homey.Device {
     }
 
     try {
-      if (value) {
-        await this.api.lockVehicle(this.vin);
-      } else {
-        await this.api.unlockVehicle(this.vin, pin);
-      }
-
-      // Poll immediately to update state
-      setTimeout(() => this.pollVehicleData(), 5000);
+      await this._runStateCommand('locked', value, () => (value
+        ? this.api.lockVehicle(this.vin)
+        : this.api.unlockVehicle(this.vin, pin)));
 
       return true;
     } catch (error) {
       this.error('Failed to change lock state:', error.message);
-      throw new Error(this.homey.__('error.lock_failed'));
+      throw this._commandError(error, this.homey.__('error.lock_failed'));
     }
   }
 
@@ -1072,19 +1191,14 @@ class MercedesVehicleDevice extends Homey.Device {
     }
 
     try {
-      if (value) {
-        await this.api.startEngine(this.vin, pin);
-      } else {
-        await this.api.stopEngine(this.vin);
-      }
-
-      // Poll immediately to update state
-      setTimeout(() => this.pollVehicleData(), 5000);
+      await this._runStateCommand('onoff.engine', value, () => (value
+        ? this.api.startEngine(this.vin, pin)
+        : this.api.stopEngine(this.vin)));
 
       return true;
     } catch (error) {
       this.error('Failed to change engine state:', error.message);
-      throw new Error(this.homey.__('error.engine_control_failed'));
+      throw this._commandError(error, this.homey.__('error.engine_control_failed'));
     }
   }
 
@@ -1095,19 +1209,14 @@ class MercedesVehicleDevice extends Homey.Device {
     this.log('Climate capability changed to:', value);
 
     try {
-      if (value) {
-        await this.api.startClimate(this.vin);
-      } else {
-        await this.api.stopClimate(this.vin);
-      }
-
-      // Poll immediately to update state
-      setTimeout(() => this.pollVehicleData(), 5000);
+      await this._runStateCommand('onoff.climate', value, () => (value
+        ? this.api.startClimate(this.vin)
+        : this.api.stopClimate(this.vin)));
 
       return true;
     } catch (error) {
       this.error('Failed to change climate state:', error.message);
-      throw new Error(this.homey.__('error.climate_control_failed'));
+      throw this._commandError(error, this.homey.__('error.climate_control_failed'));
     }
   }
 
@@ -1148,7 +1257,7 @@ class MercedesVehicleDevice extends Homey.Device {
       this.log('Lights flashed successfully');
     } catch (error) {
       this.error('Failed to flash lights:', error.message);
-      throw new Error(this.homey.__('error.flash_lights_failed'));
+      throw this._commandError(error, this.homey.__('error.flash_lights_failed'));
     }
   }
 
@@ -1187,22 +1296,46 @@ class MercedesVehicleDevice extends Homey.Device {
 
   // ==================== Flow Card Action Handlers ====================
 
+  /**
+   * Turn a command error into a localized error and fire the "command failed" trigger
+   * Errors without a known reason code (e.g. missing PIN) keep the fallback message
+   * @param {Error} error - Error from MercedesAPI
+   * @param {string} fallback - Message for errors without a reason code
+   * @returns {Error} Error to throw from the action handler
+   */
+  _commandError(error, fallback) {
+    if (!COMMAND_ERROR_CODES.includes(error.code)) {
+      return new Error(fallback);
+    }
+
+    const tokens = {
+      command: error.commandType || 'unknown',
+      reason: error.code,
+      message: (error.vehicleError && error.vehicleError.message) || error.message
+    };
+
+    this.homey.flow.getDeviceTriggerCard('command_failed')
+      .trigger(this, tokens)
+      .catch(err => this.error('Failed to trigger command_failed:', err.message));
+
+    const localized = new Error(this.homey.__(`command_error.${error.code}`));
+    localized.code = error.code;
+    return localized;
+  }
+
   /**
    * Flow action: Lock vehicle
    */
   async lockVehicleAction() {
     this.log('[FLOW] Lock vehicle action triggered');
     try {
-      await this.api.lockVehicle(this.vin);
+      await this._runStateCommand('locked', true, () => this.api.lockVehicle(this.vin));
       this.log('[FLOW] Vehicle locked successfully');
 
-      // Update capability immediately
-      await this.setCapabilityValue('locked', true);
-
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to lock vehicle:', error.message);
-      throw new Error(`Failed to lock vehicle: ${error.message}`);
+      throw this._commandError(error, `Failed to lock vehicle: ${error.message}`);
     }
   }
 
@@ -1219,16 +1352,13 @@ class MercedesVehicleDevice extends Homey.Device {
         throw new Error('PIN is not configured. Please set PIN in device settings.');
       }
 
-      await this.api.unlockVehicle(this.vin, pin);
+      await this._runStateCommand('locked', false, () => this.api.unlockVehicle(this.vin, pin));
       this.log('[FLOW] Vehicle unlocked successfully');
 
-      // Update capability immediately
-      await this.setCapabilityValue('locked', false);
-
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to unlock vehicle:', error.message);
-      throw new Error(`Failed to unlock vehicle: ${error.message}`);
+      throw this._commandError(error, `Failed to unlock vehicle: ${error.message}`);
     }
   }
 
@@ -1238,16 +1368,13 @@ class MercedesVehicleDevice extends Homey.Device {
   async startClimateAction() {
     this.log('[FLOW] Start climate action triggered');
     try {
-      await this.api.startClimate(this.vin);
+      await this._runStateCommand('onoff.climate', true, () => this.api.startClimate(this.vin));
       this.log('[FLOW] Climate control started successfully');
 
-      // Update capability immediately
-      await this.setCapabilityValue('onoff.climate', true);
-
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to start climate:', error.message);
-      throw new Error(`Failed to start climate: ${error.message}`);
+      throw this._commandError(error, `Failed to start climate: ${error.message}`);
     }
   }
 
@@ -1257,16 +1384,13 @@ class MercedesVehicleDevice extends Homey.Device {
   async stopClimateAction() {
     this.log('[FLOW] Stop climate action triggered');
     try {
-      await this.api.stopClimate(this.vin);
+      await this._runStateCommand('onoff.climate', false, () => this.api.stopClimate(this.vin));
       this.log('[FLOW] Climate control stopped successfully');
 
-      // Update capability immediately
-      await this.setCapabilityValue('onoff.climate', false);
-
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to stop climate:', error.message);
-      throw new Error(`Failed to stop climate: ${error.message}`);
+      throw this._commandError(error, `Failed to stop climate: ${error.message}`);
     }
   }
 
@@ -1281,7 +1405,7 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to flash lights:', error.message);
-      throw new Error(`Failed to flash lights: ${error.message}`);
+      throw this._commandError(error, `Failed to flash lights: ${error.message}`);
     }
   }
 
@@ -1298,16 +1422,13 @@ class MercedesVehicleDevice extends Homey.Device {
         throw new Error('PIN is not configured. Please set PIN in device settings.');
       }
 
-      await this.api.startEngine(this.vin, pin);
+      await this._runStateCommand('onoff.engine', true, () => this.api.startEngine(this.vin, pin));
       this.log('[FLOW] Engine started successfully');
 
-      // Update capability immediately
-      await this.setCapabilityValue('onoff.engine', true);
-
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to start engine:', error.message);
-      throw new Error(`Failed to start engine: ${error.message}`);
+      throw this._commandError(error, `Failed to start engine: ${error.message}`);
     }
   }
 
@@ -1317,16 +1438,13 @@ class MercedesVehicleDevice extends Homey.Device {
   async stopEngineAction() {
     this.log('[FLOW] Stop engine action triggered');
     try {
-      await this.api.stopEngine(this.vin);
+      await this._runStateCommand('onoff.engine', false, () => this.api.stopEngine(this.vin));
       this.log('[FLOW] Engine stopped successfully');
 
-      // Update capability immediately
-      await this.setCapabilityValue('onoff.engine', false);
-
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to stop engine:', error.message);
-      throw new Error(`Failed to stop engine: ${error.message}`);
+      throw this._commandError(error, `Failed to stop engine: ${error.message}`);
     }
   }
 
@@ -1348,7 +1466,7 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to open windows:', error.message);
-      throw new Error(`Failed to open windows: ${error.message}`);
+      throw this._commandError(error, `Failed to open windows: ${error.message}`);
     }
   }
 
@@ -1363,7 +1481,7 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to close windows:', error.message);
-      throw new Error(`Failed to close windows: ${error.message}`);
+      throw this._commandError(error, `Failed to close windows: ${error.message}`);
     }
   }
 
@@ -1400,7 +1518,7 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to open sunroof:', error.message);
-      throw new Error(`Failed to open sunroof: ${error.message}`);
+      throw this._commandError(error, `Failed to open sunroof: ${error.message}`);
     }
   }
 
@@ -1415,7 +1533,7 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to close sunroof:', error.message);
-      throw new Error(`Failed to close sunroof: ${error.message}`);
+      throw this._commandError(error, `Failed to close sunroof: ${error.message}`);
     }
   }
 
@@ -1430,7 +1548,7 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to tilt sunroof:', error.message);
-      throw new Error(`Failed to tilt sunroof: ${error.message}`);
+      throw this._commandError(error, `Failed to tilt sunroof: ${error.message}`);
     }
   }
 
@@ -1470,10 +1588,17 @@ class MercedesVehicleDevice extends Homey.Device {
    */
   async tirePressureOk() {
     try {
-      const pressureFL = this.getCapabilityValue('tire_pressure_bar.tire_fl');
-      const pressureFR = this.getCapabilityValue('tire_pressure_bar.tire_fr');
-      const pressureRL = this.getCapabilityValue('tire_pressure_bar.tire_rl');
-      const pressureRR = this.getCapabilityValue('tire_pressure_bar.tire_rr');
+      // Capabilities hold the pressure in the unit of the device settings
+      const pressureUnit = getDisplayUnit('pressure', this.getSettings());
+      const toBar = capability => {
+        const value = this.getCapabilityValue(capability);
+        return typeof value === 'number' ? pressureUnit.fromDisplay(value) : value;
+      };
+
+      const pressureFL = toBar('tire_pressure_bar.tire_fl');
+      const pressureFR = toBar('tire_pressure_bar.tire_fr');
+      const pressureRL = toBar('tire_pressure_bar.tire_rl');
+      const pressureRR = toBar('tire_pressure_bar.tire_rr');
 
       // Minimum acceptable pressure: 2.0 bar
       const MIN_PRESSURE = 2.0;
@@ -1495,6 +1620,21 @@ class MercedesVehicleDevice extends Homey.Device {
     }
   }
 
+  /**
+   * Flow condition: Is the data of a group older than N minutes?
+   * Without any data for the group the data counts as outdated
+   * @param {string} group - Data group (DATA_GROUPS) or 'any' for the newest data of all groups
+   * @param {number} minutes - Maximum age in minutes
+   */
+  async isDataOlderThan(group, minutes) {
+    const groups = group === 'any' ? DATA_GROUPS : [group];
+    const newest = Math.max(0, ...groups.map(g => this.dataTimestamps[g] || 0));
+    const older = newest === 0 || Date.now() - newest > minutes * 60 * 1000;
+
+    this.log(`[FLOW] Data older than ${minutes} min (${group}) condition checked: ${older}`);
+    return older;
+  }
+
   /**
    * Flow condition: Are all windows closed?
    * This is the flow condition wrapper for areWindowsClosed()
@@ -1598,14 +1738,14 @@ class MercedesVehicleDevice extends Homey.Device {
    * @param {number} longitude - Longitude coordinate
    */
   async sendRouteAction(title, latitude, longitude) {
-    this.log(`[FLOW] Send route action: ${title} (${latitude}, ${longitude})`);
+    this.logger.info(`[FLOW] Send route action: ${title}`, { latitude, longitude });
     try {
       await this.api.sendRoute(this.vin, title, latitude, longitude, '', '', '');
       this.log('[FLOW] Route sent successfully');
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to send route:', error.message);
-      throw new Error(`Failed to send route: ${error.message}`);
+      throw this._commandError(error, `Failed to send route: ${error.message}`);
     }
   }
 
@@ -1622,7 +1762,7 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to configure max SOC:', error.message);
-      throw new Error(`Failed to configure max SOC: ${error.message}`);
+      throw this._commandError(error, `Failed to configure max SOC: ${error.message}`);
     }
   }
 
@@ -1637,7 +1777,7 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to start preconditioning:', error.message);
-      throw new Error(`Failed to start preconditioning: ${error.message}`);
+      throw this._commandError(error, `Failed to start preconditioning: ${error.message}`);
     }
   }
 
@@ -1652,7 +1792,7 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to stop preconditioning:', error.message);
-      throw new Error(`Failed to stop preconditioning: ${error.message}`);
+      throw this._commandError(error, `Failed to stop preconditioning: ${error.message}`);
     }
   }
 
@@ -1671,7 +1811,7 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to configure departure time:', error.message);
-      throw new Error(`Failed to configure departure time: ${error.message}`);
+      throw this._commandError(error, `Failed to configure departure time: ${error.message}`);
     }
   }
 
@@ -1692,7 +1832,7 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to configure temperature:', error.message);
-      throw new Error(`Failed to configure temperature: ${error.message}`);
+      throw this._commandError(error, `Failed to configure temperature: ${error.message}`);
     }
   }
 
@@ -1711,7 +1851,7 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to configure seat heating:', error.message);
-      throw new Error(`Failed to configure seat heating: ${error.message}`);
+      throw this._commandError(error, `Failed to configure seat heating: ${error.message}`);
     }
   }
 
@@ -1727,7 +1867,85 @@ class MercedesVehicleDevice extends Homey.Device {
       return true;
     } catch (error) {
       this.error('[FLOW] Failed to sound horn:', error.message);
-      throw new Error(`Failed to sound horn: ${error.message}`);
+      throw this._commandError(error, `Failed to sound horn: ${error.message}`);
+    }
+  }
+
+  /**
+   * Flow action: Export the charging session history
+   * @returns {Object} Flow tokens { history: CSV, sessions: number of sessions }
+   */
+  async exportChargingHistoryAction() {
+    const history = this.chargingLogger.getHistory();
+    this.log(`[FLOW] Exporting ${history.length} charging session(s)`);
+    return {
+      history: this.chargingLogger.toCSV(),
+      sessions: history.length
+    };
+  }
+
+  /**
+   * Flow action: Plan price-aware charging
+   * Sets the departure time in the vehicle and charges in the cheapest hours before it
+   * @param {string} prices - Hourly price list (JSON, see charge-planner parsePrices)
+   * @param {number} targetSoc - State of charge wanted at departure in %
+   * @param {string} departureTime - 'HH:mm'
+   * @returns {Object} Flow tokens { charge_start, charge_end, max_soc, cost }
+   */
+  async planSmartChargingAction(prices, targetSoc, departureTime) {
+    this.log(`[FLOW] Plan smart charging action: ${targetSoc}% at ${departureTime}`);
+
+    const now = Date.now();
+    const timeZone = this.homey.clock.getTimezone();
+    let departure;
+    let priceList;
+    try {
+      departure = chargePlanner.nextDeparture(departureTime, now, timeZone);
+      priceList = chargePlanner.parsePrices(prices, now);
+    } catch (error) {
+      this.error('[FLOW] Invalid smart charging input:', error.message);
+      throw new Error(this.homey.__('error.invalid_smart_charging', { message: error.message }));
+    }
+
+    const [hour, minute] = departureTime.split(':').map(part => parseInt(part, 10));
+    try {
+      await this.api.configurePrecondDeparture(this.vin, hour * 60 + minute, 1);
+    } catch (error) {
+      this.error('[FLOW] Failed to configure departure time:', error.message);
+      throw this._commandError(error, `Failed to configure departure time: ${error.message}`);
+    }
+
+    await this._setSmartCharging({ prices: priceList, targetSoc, departure, departureTime, appliedMaxSoc: null });
+    const plan = await this._replanCharging('flow');
+
+    const format = time => new Date(time).toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit' });
+    return {
+      charge_start: plan && plan.slots.length > 0 ? format(plan.slots[0].start) : '-',
+      charge_end: plan && plan.slots.length > 0 ? format(plan.slots[plan.slots.length - 1].end) : '-',
+      max_soc: chargePlanner.roundMaxSoc(targetSoc),
+      cost: plan ? plan.cost : 0
+    };
+  }
+
+  /**
+   * Flow action: Cancel price-aware charging
+   * The vehicle charges to the target SoC of the plan right away
+   */
+  async cancelSmartChargingAction() {
+    this.log('[FLOW] Cancel smart charging action');
+    if (!this.smartCharging) {
+      return true;
+    }
+
+    const { targetSoc } = this.smartCharging;
+    await this._setSmartCharging(null);
+    await this._replanCharging('cancel');
+    try {
+      await this.api.configureBatteryMaxSoc(this.vin, chargePlanner.roundMaxSoc(targetSoc));
+      return true;
+    } catch (error) {
+      this.error('[FLOW] Failed to restore max SOC:', error.message);
+      throw this._commandError(error, `Failed to configure max SOC: ${error.message}`);
     }
   }
 }
@@ -146,58 +146,12 @@ class MercedesVehicleDriver extends Homey.Driver {
    * onPair is called when a user starts pairing
    */
   async onPair(session) {
-    let credentials = {};
-    const region = 'Europe'; // Default to Europe region
-    let oauth = null;
+    const login = { username: null, region: null, oauth: null };
     let vehicles = [];
-    let deviceGuid = null;
 
-    // Handle login credentials
-    session.setHandler('login', async (data) => {
-      this.log('Login attempt with email:', data.username);
-
-      credentials = {
-        username: data.username,
-        password: data.password
-      };
-
-      try {
-        // Initialize OAuth with Europe region and generate persistent deviceGuid
-        oauth = new MercedesOAuth(this.homey, region);
-        deviceGuid = oauth.deviceGuid; // Store for later use
-
-        // Attempt login
-        await oauth.login(credentials.username, credentials.password);
-        this.log('Login successful');
-
-        // Fetch vehicles immediately after login
-        try {
-          vehicles = await oauth.getVehicles();
-          this.log(`Found ${vehicles.length} vehicle(s)`);
-        } catch (vehicleError) {
-          // Check if it's a rate limit error (418)
-          if (vehicleError.message && (vehicleError.message.includes('418') || vehicleError.message.includes('status code 418'))) {
-            this.error('Rate limited by Mercedes API');
-            throw new Error('Too many requests. Please wait 15-30 minutes and try again.');
-          }
-          throw vehicleError;
-        }
-
-        return true;
-      } catch (error) {
-        this.error('Login or vehicle fetch failed:', error.message);
-
-        // Provide better error messages
-        if (error.message && (error.message.includes('418') || error.message.includes('status code 418'))) {
-          throw new Error('Too many requests. Please wait 15-30 minutes and try again.');
-        } else if (error.message && (error.message.includes('403') || error.message.includes('status code 403'))) {
-          throw new Error('Access denied. Please check your credentials.');
-        } else if (error.message && error.message.includes('2FA')) {
-          throw new Error('Two-factor authentication is not supported. Please disable 2FA.');
-        } else {
-          throw new Error(error.message || this.homey.__('pair.login_failed'));
-        }
-      }
+    // Fetch vehicles once the login (with or without one-time code) has completed
+    this._registerLoginHandlers(session, login, 'Europe', async () => {
+      vehicles = await this._getVehicles(login);
     });
 
     // Show available vehicles for pairing
@@ -209,9 +163,6 @@ class MercedesVehicleDriver extends Homey.Driver {
       }
 
       return vehicles.map(vehicle => {
-        // Log the vehicle object to see what fields are available
-        this.log('Vehicle data:', JSON.stringify(vehicle, null, 2));
-
         // Use vin or fin (matches HA implementation)
         const vin = vehicle.vin || vehicle.fin || 'UNKNOWN';
 
@@ -238,7 +189,7 @@ class MercedesVehicleDriver extends Homey.Driver {
           deviceName = model;
         }
 
-        this.log('Creating device:', deviceName, 'with VIN:', vin);
+        this.log('Creating device:', deviceName);
 
         const deviceObj = {
           name: deviceName,
@@ -267,13 +218,12 @@ class MercedesVehicleDriver extends Homey.Driver {
             'onoff.climate'
           ],
           store: {
-            username: credentials.username,
-            password: credentials.password,
-            region: region,
+            username: login.username,
+            region: login.region,
             model: model,
             licensePlate: licensePlate,
-            deviceGuid: deviceGuid,
-            token: oauth.token
+            deviceGuid: login.oauth.deviceGuid,
+            token: login.oauth.token
           },
           settings: {
             vin: vin,
@@ -282,11 +232,211 @@ class MercedesVehicleDriver extends Homey.Driver {
           }
         };
 
-        this.log('Device object created:', JSON.stringify(deviceObj, null, 2));
         return deviceObj;
       });
     });
   }
+
+  /**
+   * onRepair is called when a user repairs a device (e.g. after the credentials changed or
+   * the refresh token was revoked). The device keeps its flows and Insights: the new login
+   * is written to its store and the device reinitializes in place.
+   */
+  async onRepair(session, device) {
+    const store = device.getStore();
+    const login = { username: null, region: null, oauth: null };
+
+    // Auto-detect starts at the region the device was paired in
+    this._registerLoginHandlers(session, login, store.region || 'Europe', async () => {
+      const vehicles = await this._getVehicles(login);
+      const vins = new Set(vehicles.map(vehicle => vehicle.vin || vehicle.fin));
+
+      if (!vins.has(device.getData().vin)) {
+        throw new Error(this.homey.__('pair.vehicle_not_found'));
+      }
+
+      // Vehicles sharing the account session move to the new login together,
+      // vehicles the new login has no access to keep the previous one
+      const username = String(store.username || '').toLowerCase();
+      const sameAccount = this.getDevices().filter(other => other === device ||
+        String(other.getStoreValue('username') || '').toLowerCase() === username);
+      const devices = sameAccount.filter(other => vins.has(other.getData().vin));
+      const skipped = sameAccount.filter(other => !devices.includes(other));
+
+      if (skipped.length === 0) {
+        this.homey.app.detachAccountSession(store.username);
+      }
+      this.homey.app.detachAccountSession(login.username);
+
+      // Every device gets the new login, failures are reported together afterwards
+      const failed = [];
+      for (const other of devices) {
+        try {
+          await other.reauthenticate({
+            username: login.username,
+            region: login.region,
+            deviceGuid: login.oauth.deviceGuid,
+            token: login.oauth.token
+          });
+        } catch (error) {
+          this.error(`Re-authentication of ${other.getName()} failed:`, error.message);
+          failed.push({ device: other, error });
+        }
+      }
+      this.log(`Re-authenticated ${devices.length - failed.length} of ${devices.length} device(s)`);
+
+      if (skipped.length > 0) {
+        const names = skipped.map(other => other.getName()).join(', ');
+        this.log(`${skipped.length} device(s) not on the new account keep the previous login: ${names}`);
+        await this.homey.notifications.createNotification({
+          excerpt: this.homey.__('repair.devices_not_on_account', { devices: names })
+        }).catch(error => this.error('Failed to send notification:', error.message));
+      }
+
+      if (failed.length > 0) {
+        throw new Error(this.homey.__('repair.reauthenticate_failed', {
+          devices: failed.map(({ device: other }) => other.getName()).join(', '),
+          message: failed[0].error.message
+        }));
+      }
+    });
+  }
+
+  /**
+   * Register the select_region, login_credentials and enter_otp view handlers shared by pairing and repair
+   * @param {Object} session - Pair/repair session
+   * @param {Object} login - Login state { username, region, oauth }, filled in by the handlers
+   * @param {string} defaultRegion - Region to log in to when auto-detecting
+   * @param {Function} onLoggedIn - Called after the login (with or without one-time code) completed
+   */
+  _registerLoginHandlers(session, login, defaultRegion, onLoggedIn) {
+    // Handle region selection (select_region view)
+    session.setHandler('get_regions', async () => {
+      return Object.keys(MercedesOAuth.ENDPOINTS);
+    });
+
+    session.setHandler('set_region', async (data) => {
+      const selected = data && data.region;
+
+      if (selected && selected !== 'auto' && !MercedesOAuth.ENDPOINTS[selected]) {
+        throw new Error(`Invalid region: ${selected}`);
+      }
+
+      login.region = selected && selected !== 'auto' ? selected : null;
+      this.log('Region selected:', login.region || 'auto-detect');
+      return true;
+    });
+
+    // Handle login credentials
+    session.setHandler('login', async (data) => {
+      this.log('Login attempt with email:', data.username);
+      login.username = data.username;
+
+      try {
+        // Initialize OAuth with the selected region and generate a new persistent deviceGuid
+        login.oauth = new MercedesOAuth(this.homey, login.region || defaultRegion);
+
+        // Attempt login - the enter_otp view takes over if a one-time code is required
+        if (await this._login(login.oauth, data.username, data.password)) {
+          await onLoggedIn();
+        }
+
+        return true;
+      } catch (error) {
+        this.error('Login or vehicle fetch failed:', error.message);
+        throw this._mapLoginError(error);
+      }
+    });
+
+    // Handle one-time code (enter_otp view)
+    this._registerOtpHandlers(session, () => login.oauth, onLoggedIn);
+  }
+
+  /**
+   * Fetch the vehicles of the logged in account and remember the region they were found in
+   * @param {Object} login - Login state { username, region, oauth }
+   * @returns {Promise<Array>}
+   */
+  async _getVehicles(login) {
+    try {
+      // Probe other regions if none are found
+      const vehicles = await login.oauth.getVehiclesWithRegionDetection();
+      login.region = login.oauth.region;
+      this.log(`Found ${vehicles.length} vehicle(s) in region ${login.region}`);
+      return vehicles;
+    } catch (vehicleError) {
+      // Check if it's a rate limit error (418)
+      if (vehicleError.message && (vehicleError.message.includes('418') || vehicleError.message.includes('status code 418'))) {
+        this.error('Rate limited by Mercedes API');
+        throw new Error('Too many requests. Please wait 15-30 minutes and try again.');
+      }
+      throw vehicleError;
+    }
+  }
+
+  /**
+   * Log in, tolerating a one-time code request
+   * @returns {Promise<boolean>} true if logged in, false if a one-time code is pending
+   */
+  async _login(oauth, username, password) {
+    try {
+      await oauth.login(username, password);
+      this.log('Login successful');
+      return true;
+    } catch (error) {
+      if (error.code === 'OTP_REQUIRED') {
+        this.log('Login requires a one-time code');
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Register the enter_otp view handlers shared by pairing and repair
+   * @param {Object} session - Pair/repair session
+   * @param {Function} getOAuth - Returns the OAuth instance of the current login
+   * @param {Function} onLoggedIn - Called after the one-time code completed the login
+   */
+  _registerOtpHandlers(session, getOAuth, onLoggedIn) {
+    session.setHandler('otp_required', async () => {
+      const oauth = getOAuth();
+      return !!(oauth && oauth.isOtpPending());
+    });
+
+    session.setHandler('otp', async (data) => {
+      const oauth = getOAuth();
+      const code = data && data.code ? String(data.code).trim() : '';
+
+      if (!code) {
+        throw new Error(this.homey.__('pair.otp.code_required'));
+      }
+
+      try {
+        await oauth.submitOtp(code);
+        this.log('One-time code accepted');
+        await onLoggedIn();
+        return true;
+      } catch (error) {
+        this.error('One-time code login failed:', error.message);
+        throw this._mapLoginError(error);
+      }
+    });
+  }
+
+  /**
+   * Convert login errors into user-facing messages
+   */
+  _mapLoginError(error) {
+    if (error.code === 'OTP_INVALID') {
+      return new Error(this.homey.__('pair.otp.invalid'));
+    } else if (error.message && (error.message.includes('418') || error.message.includes('status code 418'))) {
+      return new Error('Too many requests. Please wait 15-30 minutes and try again.');
+    } else if (error.message && (error.message.includes('403') || error.message.includes('status code 403'))) {
+      return new Error('Access denied. Please check your credentials.');
+    }
+    return new Error(error.message || this.homey.__('pair.login_failed'));
+  }
 }
 
 module.exports = MercedesVehicleDriver;
@@ -0,0 +1,334 @@
+'use strict';
+
+const MercedesOAuth = require('./oauth');
+const MercedesAPI = require('./api');
+const Logger = require('./logger');
+
+// Minimum time between two resyncs of an account (each one is a REST request per vehicle)
+const RESYNC_MIN_INTERVAL = 60 * 1000;
+
+/**
+ * Mercedes-Benz Account Session
+ * Shares one OAuth token, one WebSocket and one protobuf parser between all
+ * vehicles of an account, and fans out WebSocket updates by VIN
+ */
+class MercedesAccountSession {
+  constructor(homey, username, region, deviceGuid) {
+    this.homey = homey;
+    this.username = username;
+    this.region = region;
+
+    // Shared by the OAuth, API, parser and WebSocket modules of the session, configured from the
+    // logging options of the subscribed vehicles (vin -> { debug, redactVins, redactLocation })
+    this.logger = new Logger(homey.app, { tag: 'SESSION' });
+    this.logOptions = new Map();
+
+    this.oauth = new MercedesOAuth(homey, region, deviceGuid, this.logger.child('OAUTH'));
+    this.api = new MercedesAPI(homey, this.oauth, region, this.logger.child('API'));
+
+    // Subscribed vehicles: vin -> { onVepUpdate, onTokenUpdate, onCommandStatus }
+    this.subscribers = new Map();
+
+    // Last queued vepUpdate per VIN, so a vehicle's updates are handled one after another
+    this.vepUpdateQueues = new Map();
+
+    // In-flight connect shared by all subscribers (token refreshes are shared by MercedesOAuth)
+    this.connectPromise = null;
+
+    // Full state fetch after a WebSocket sequence gap or reconnect, requests in between are combined
+    this.resyncTimer = null;
+    this.resyncReasons = new Set();
+    this.lastResyncAt = 0;
+
+    // Persist refreshed tokens to every subscribed device, a WebSocket that is down reconnects with them
+    this.oauth.setTokenUpdateCallback(this._onTokenRefreshed.bind(this));
+    this.oauth.setRefreshErrorCallback(this._onTokenRefreshError.bind(this));
+
+    this.logger.info(`Account session created for ${username} (${region})`);
+  }
+
+  /**
+   * Initialize the API client (including protobuf parser)
+   */
+  async initialize() {
+    await this.api.initialize();
+
+    // Renew the token ahead of its expiry instead of on the first request after it
+    this.oauth.scheduleRefresh();
+  }
+
+  /**
+   * Use a stored token if it is newer than the one the session holds
+   * @param {Object} token - Token info from a device store
+   */
+  adoptToken(token) {
+    if (!token) {
+      return;
+    }
+
+    const current = this.oauth.token;
+    if (!current || (token.expires_at || 0) > (current.expires_at || 0)) {
+      this.oauth.token = token;
+      this.logger.info('Adopted stored token');
+    }
+  }
+
+  /**
+   * Replace the session token (e.g. after a new login) and persist it to all devices
+   * @param {Object} token - Token info
+   */
+  async applyToken(token) {
+    this.oauth.token = token;
+    this.oauth.scheduleRefresh();
+    await this._broadcastToken(token);
+  }
+
+  /**
+   * Renew the access token through the refresh token
+   * Concurrent callers share a single refresh request
+   */
+  async renewToken() {
+    return this.oauth.refreshToken();
+  }
+
+  /**
+   * Subscribe a vehicle to WebSocket updates and token changes
+   * @param {string} vin - Vehicle VIN
+   * @param {Object} subscriber - { onVepUpdate(update), onResync(resync), onTokenUpdate(token), onTokenRevoked(error), onCommandStatus(status) },
+   *   update and status are the MercedesWebSocket 'vepUpdate' and 'commandStatus' event payloads,
+   *   resync is { vin, reasons, data } with the full vehicle data, or { vin, reasons, error } when it could not be fetched
+   */
+  subscribe(vin, subscriber) {
+    this.subscribers.set(vin, subscriber);
+    this.logger.info(`${vin} subscribed (${this.subscribers.size} vehicle(s))`);
+  }
+
+  /**
+   * Remove a vehicle from the session
+   * @param {string} vin - Vehicle VIN
+   */
+  unsubscribe(vin) {
+    this.subscribers.delete(vin);
+    this.vepUpdateQueues.delete(vin);
+    this.logOptions.delete(vin);
+    this._applyLogOptions();
+    this.logger.info(`${vin} unsubscribed (${this.subscribers.size} vehicle(s))`);
+  }
+
+  /**
+   * Set the logging options of a vehicle (debug_mode, log_hide_vin and log_hide_location settings)
+   * The shared modules log at debug level, or redact VINs and coordinates, as soon as one vehicle asks for it
+   * @param {string} vin - Vehicle VIN
+   * @param {Object} options - { debug, redactVins, redactLocation }
+   */
+  setLogOptions(vin, options) {
+    this.logOptions.set(vin, options);
+    this._applyLogOptions();
+  }
+
+  _applyLogOptions() {
+    const options = [...this.logOptions.values()];
+    this.logger.configure({
+      debug: options.some(option => option.debug),
+      redactVins: options.some(option => option.redactVins),
+      redactLocation: options.some(option => option.redactLocation)
+    });
+  }
+
+  /**
+   * Check if any vehicle still uses this session
+   */
+  hasSubscribers() {
+    return this.subscribers.size > 0;
+  }
+
+  /**
+   * Connect the shared WebSocket (no-op if already connected or connecting)
+   */
+  async connectWebSocket() {
+    if (this.api.isWebSocketConnected()) {
+      return;
+    }
+
+    if (!this.connectPromise) {
+      this.connectPromise = this.api.connectWebSocket({
+        vepUpdate: this._onVepUpdate.bind(this),
+        commandStatus: this._onCommandStatus.bind(this),
+        resyncRequired: this._onResyncRequired.bind(this)
+      })
+        .finally(() => {
+          this.connectPromise = null;
+        });
+    }
+
+    return this.connectPromise;
+  }
+
+  /**
+   * Route WebSocket vehicle data to the subscribed device
+   * Updates of one vehicle are queued, so a partial update never overtakes the full update before it
+   * @param {Object} update - { vin, data, fullUpdate, sequenceNumber }
+   */
+  _onVepUpdate(update) {
+    const { vin } = update;
+    const subscriber = this.subscribers.get(vin);
+
+    if (!subscriber) {
+      this.logger.info(`No device subscribed for VIN ${vin}, ignoring update`);
+      return;
+    }
+
+    const previous = this.vepUpdateQueues.get(vin) || Promise.resolve();
+    const next = previous
+      .then(() => subscriber.onVepUpdate(update))
+      .catch(error => {
+        this.logger.error(`Failed to handle update for ${vin}:`, error.message);
+      });
+    this.vepUpdateQueues.set(vin, next);
+  }
+
+  /**
+   * Schedule a resync of all subscribed vehicles after a WebSocket sequence gap or reconnect
+   * Runs right away, or RESYNC_MIN_INTERVAL after the previous resync; requests until then are combined
+   * @param {Object} event - MercedesWebSocket 'resyncRequired' event { reason, stream, expected, received }
+   */
+  _onResyncRequired({ reason }) {
+    this.resyncReasons.add(reason);
+
+    if (this.resyncTimer) {
+      return;
+    }
+
+    const wait = Math.max(0, this.lastResyncAt + RESYNC_MIN_INTERVAL - Date.now());
+    this.resyncTimer = setTimeout(() => {
+      this.resyncTimer = null;
+      this._resync();
+    }, wait);
+  }
+
+  /**
+   * Fetch the full state of every subscribed vehicle through the REST API
+   * Queued behind the vehicle's pending WebSocket updates, so the fetched state is applied last
+   */
+  _resync() {
+    const reasons = [...this.resyncReasons];
+    this.resyncReasons.clear();
+    this.lastResyncAt = Date.now();
+    this.logger.info(`Resyncing ${this.subscribers.size} vehicle(s) after ${reasons.join(' and ')}`);
+
+    for (const [vin, subscriber] of this.subscribers) {
+      if (!subscriber.onResync) {
+        continue;
+      }
+
+      const previous = this.vepUpdateQueues.get(vin) || Promise.resolve();
+      const next = previous
+        .then(async () => {
+          let resync;
+          try {
+            resync = { vin, reasons, data: await this.api.getVehicleData(vin) };
+          } catch (error) {
+            this.logger.error(`Resync of ${vin} failed:`, error.message);
+            resync = { vin, reasons, error };
+          }
+
+          // The vehicle may have left the session while the request was running
+          if (this.subscribers.get(vin) === subscriber) {
+            await subscriber.onResync(resync);
+          }
+        })
+        .catch(error => {
+          this.logger.error(`Failed to handle resync for ${vin}:`, error.message);
+        });
+      this.vepUpdateQueues.set(vin, next);
+    }
+  }
+
+  /**
+   * Route command state transitions to the subscribed device
+   */
+  _onCommandStatus(status) {
+    const subscriber = this.subscribers.get(status.vin);
+
+    if (!subscriber || !subscriber.onCommandStatus) {
+      return;
+    }
+
+    Promise.resolve(subscriber.onCommandStatus(status)).catch(error => {
+      this.logger.error(`Failed to handle command status for ${status.vin}:`, error.message);
+    });
+  }
+
+  /**
+   * Persist a refreshed token
+   * The WebSocket authenticates on connect only: an open connection is kept (the next connect
+   * uses the new token), a connection that is down is retried right away instead of after its backoff
+   */
+  async _onTokenRefreshed(token) {
+    await this._broadcastToken(token);
+
+    if (!this.api.websocket || this.api.isWebSocketConnected()) {
+      return;
+    }
+
+    try {
+      await this.api.reconnectWebSocket();
+    } catch (error) {
+      this.logger.error('Failed to reconnect WebSocket after token refresh:', error.message);
+    }
+  }
+
+  /**
+   * Tell every subscribed device that the refresh token was revoked
+   * Temporary failures (network, server errors) are retried by MercedesOAuth and not reported
+   */
+  async _onTokenRefreshError(error) {
+    if (error.code !== 'TOKEN_REVOKED') {
+      return;
+    }
+
+    for (const [vin, subscriber] of this.subscribers) {
+      if (!subscriber.onTokenRevoked) {
+        continue;
+      }
+
+      try {
+        await subscriber.onTokenRevoked(error);
+      } catch (err) {
+        this.logger.error(`Failed to report revoked token to ${vin}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Hand a new token to every subscribed device
+   */
+  async _broadcastToken(token) {
+    for (const [vin, subscriber] of this.subscribers) {
+      if (!subscriber.onTokenUpdate) {
+        continue;
+      }
+
+      try {
+        await subscriber.onTokenUpdate(token);
+      } catch (error) {
+        this.logger.error(`Failed to persist token for ${vin}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Disconnect the shared WebSocket
+   */
+  async close() {
+    this.logger.info(`Closing account session for ${this.username}`);
+    if (this.resyncTimer) {
+      clearTimeout(this.resyncTimer);
+      this.resyncTimer = null;
+    }
+    this.oauth.stopRefreshSchedule();
+    await this.api.disconnectWebSocket();
+  }
+}
+
+module.exports = MercedesAccountSession;
@@ -4,16 +4,26 @@ const axios = require('axios');
 const crypto = require('crypto');
 const ProtoParser = require('./proto/parser');
 const MercedesWebSocket = require('./websocket');
+const CommandQueue = require('./command-queue');
+const Logger = require('./logger');
+const { COMMAND_NAMES, parseCommandCapabilities, isCommandNameSupported } = require('./command-capabilities');
 
 /**
  * Mercedes-Benz REST API Client
  * Handles all vehicle data retrieval and command execution
  */
 class MercedesAPI {
-  constructor(homey, oauth, region) {
+  /**
+   * @param {Object} homey - Homey instance
+   * @param {MercedesOAuth} oauth - OAuth client
+   * @param {string} region - Region
+   * @param {Logger} [logger] - Logger, defaults to the app log; the parser and WebSocket log through its children
+   */
+  constructor(homey, oauth, region, logger = null) {
     this.homey = homey;
     this.oauth = oauth;
     this.region = region;
+    this.logger = logger || new Logger(homey.app, { tag: 'API' });
 
     // Access endpoints property directly from oauth instance
     this.endpoints = oauth.endpoints;
@@ -33,13 +43,19 @@ class MercedesAPI {
     });
 
     // Initialize protobuf parser
-    this.protoParser = new ProtoParser(homey);
+    this.protoParser = new ProtoParser(homey, this.logger.child('PARSER'));
     this.protoParserInitialized = false;
 
     // WebSocket client (initialized later)
     this.websocket = null;
 
-    this.homey.app.log('MercedesAPI initialized with endpoints:', this.endpoints);
+    // Per-vehicle command queues (vin -> CommandQueue)
+    this.commandQueues = new Map();
+
+    // Per-vehicle supported commands (vin -> { COMMAND_NAME: boolean })
+    this.commandCapabilities = new Map();
+
+    this.logger.info('MercedesAPI initialized with endpoints:', this.endpoints);
   }
 
   /**
@@ -53,9 +69,9 @@ class MercedesAPI {
     try {
       await this.protoParser.initialize();
       this.protoParserInitialized = true;
-      this.homey.app.log('MercedesAPI protobuf parser initialized');
+      this.logger.info('MercedesAPI protobuf parser initialized');
     } catch (error) {
-      this.homey.app.error('Failed to initialize protobuf parser:', error.message);
+      this.logger.error('Failed to initialize protobuf parser:', error.message);
       // Continue without protobuf support (will use fallback)
     }
   }
@@ -105,10 +121,10 @@ class MercedesAPI {
     } catch (error) {
       if (error.response) {
         const errorMsg = error.response.data?.errors || error.response.statusText;
-        this.homey.app.error(`API request failed: ${method} ${endpoint} - ${error.response.status} - ${errorMsg}`);
+        this.logger.error(`API request failed: ${method} ${endpoint} - ${error.response.status} - ${errorMsg}`);
         throw new Error(`API Error: ${errorMsg}`);
       } else {
-        this.homey.app.error(`API request failed: ${error.message}`);
+        this.logger.error(`API request failed: ${error.message}`);
         throw error;
       }
     }
@@ -119,7 +135,7 @@ class MercedesAPI {
    * HA uses: webapi.py get_car_p2b_data_via_rest() - fetches protobuf from widget endpoint
    */
   async getVehicleData(vin) {
-    this.homey.app.log(`Fetching vehicle data for VIN: ${vin}`);
+    this.logger.info(`Fetching vehicle data for VIN: ${vin}`);
 
     // Make sure protobuf parser is initialized
     await this.initialize();
@@ -128,89 +144,190 @@ class MercedesAPI {
       // HA implementation: https://widget.emea-prod.mobilesdk.mercedes-benz.com/v1/vehicle/{vin}/vehicleattributes
       // Returns protobuf data (VEPUpdate message)
       const headers = await this._getHeaders();
-      const widgetUrl = this.endpoints.rest.replace('bff.emea-prod', 'widget.emea-prod');
-      const url = `${widgetUrl}/v1/vehicle/${vin}/vehicleattributes`;
+      const url = `${this.endpoints.widget}/v1/vehicle/${vin}/vehicleattributes`;
 
-      this.homey.app.log(`[API] Fetching vehicle data from: ${url}`);
+      this.logger.debug(`Fetching vehicle data from: ${url}`);
 
       const response = await this.client.get(url, {
         headers,
         responseType: 'arraybuffer' // Response is protobuf
       });
 
-      this.homey.app.log(`[API] Response received - Status: ${response.status}, Data length: ${response.data?.byteLength || 0} bytes`);
+      this.logger.debug(`Response received - Status: ${response.status}, Data length: ${response.data?.byteLength || 0} bytes`);
 
       // Validate response
       if (!this.protoParserInitialized) {
-        this.homey.app.error('[API] ERROR: Protobuf parser not initialized!');
+        this.logger.error('ERROR: Protobuf parser not initialized!');
         throw new Error('Protobuf parser not initialized');
       }
 
       if (!response.data || response.data.byteLength === 0) {
-        this.homey.app.error('[API] ERROR: Empty response from vehicle data endpoint');
+        this.logger.error('ERROR: Empty response from vehicle data endpoint');
         throw new Error('Empty response from vehicle data endpoint');
       }
 
       // Convert ArrayBuffer to Buffer and parse
       const buffer = Buffer.from(response.data);
-      this.homey.app.log(`[API] Buffer created: ${buffer.length} bytes`);
-      this.homey.app.log(`[API] First 50 bytes (hex): ${buffer.slice(0, Math.min(50, buffer.length)).toString('hex')}`);
+      this.logger.debug(`Buffer created: ${buffer.length} bytes`);
+
+      // Dump raw response for offline replay (tools/replay.js)
+      if (this.homey.app.recorder) {
+        this.homey.app.recorder.record('attributes', buffer, { vin });
+      }
+      this.logger.debug(`First 50 bytes (hex): ${buffer.slice(0, Math.min(50, buffer.length)).toString('hex')}`);
 
-      this.homey.app.log('[API] Parsing protobuf VEPUpdate message...');
+      this.logger.debug('Parsing protobuf VEPUpdate message...');
       const vepUpdate = this.protoParser.parseVEPUpdate(buffer);
-      this.homey.app.log(`[API] VEPUpdate parsed - VIN: ${vepUpdate.vin}, Attributes count: ${Object.keys(vepUpdate.attributes || {}).length}`);
-      this.homey.app.log(`[API] VEPUpdate full_update: ${vepUpdate.fullUpdate}, timestamp: ${vepUpdate.emitTimestampInMs}`);
+      this.logger.debug(`VEPUpdate parsed - VIN: ${vepUpdate.vin}, Attributes count: ${Object.keys(vepUpdate.attributes || {}).length}`);
+      this.logger.debug(`VEPUpdate full_update: ${vepUpdate.fullUpdate}, timestamp: ${vepUpdate.emitTimestampInMs}`);
 
-      this.homey.app.log('[API] Extracting vehicle data from attributes...');
+      this.logger.debug('Extracting vehicle data from attributes...');
       const vehicleData = this.protoParser.extractVehicleData(vepUpdate);
-      this.homey.app.log(`[API] Extracted ${Object.keys(vehicleData).length} vehicle data fields`);
-      this.homey.app.log(`[API] Sample data keys: ${Object.keys(vehicleData).slice(0, 15).join(', ')}`);
+      this.logger.debug(`Extracted ${Object.keys(vehicleData).length} vehicle data fields`);
+      this.logger.debug(`Sample data keys: ${Object.keys(vehicleData).slice(0, 15).join(', ')}`);
 
       // Log specific important values
       if (vehicleData.soc !== undefined) {
-        this.homey.app.log(`[API] Battery SOC: ${vehicleData.soc}`);
+        this.logger.debug(`Battery SOC: ${vehicleData.soc}`);
       }
       if (vehicleData.doorlockstatusvehicle !== undefined) {
-        this.homey.app.log(`[API] Door lock status: ${vehicleData.doorlockstatusvehicle}`);
+        this.logger.debug(`Door lock status: ${vehicleData.doorlockstatusvehicle}`);
       }
 
       return vehicleData;
 
     } catch (error) {
-      this.homey.app.error(`Failed to get vehicle data: ${error.message}`);
+      this.logger.error(`Failed to get vehicle data: ${error.message}`);
       throw error; // Re-throw error instead of returning mock data
     }
   }
 
 
   /**
-   * Send command to vehicle
+   * Get the command queue of a vehicle (created on first use)
+   * @param {string} vin - Vehicle VIN
+   * @returns {CommandQueue}
+   */
+  getCommandQueue(vin) {
+    let queue = this.commandQueues.get(vin);
+
+    if (!queue) {
+      queue = new CommandQueue(this.homey, vin, {}, this.logger.child('QUEUE'));
+      this.commandQueues.set(vin, queue);
+    }
+
+    return queue;
+  }
+
+  /**
+   * Get queue depth and current command of a vehicle
+   * @param {string} vin - Vehicle VIN
+   */
+  getCommandQueueState(vin) {
+    return this.getCommandQueue(vin).getState();
+  }
+
+  /**
+   * Set the supported commands of a vehicle (e.g. from a cached discovery result)
+   * @param {string} vin - Vehicle VIN
+   * @param {Object|null} supported - { COMMAND_NAME: boolean }, null if unknown
+   */
+  setCommandCapabilities(vin, supported) {
+    if (supported) {
+      this.commandCapabilities.set(vin, supported);
+    } else {
+      this.commandCapabilities.delete(vin);
+    }
+  }
+
+  /**
+   * Query the supported commands of a vehicle and remember them
+   * @param {string} vin - Vehicle VIN
+   * @returns {Promise<Object|null>} { COMMAND_NAME: boolean }, null if the response had no command list
+   */
+  async refreshCommandCapabilities(vin) {
+    const supported = parseCommandCapabilities(await this.getVehicleCommandCapabilities(vin));
+    this.setCommandCapabilities(vin, supported);
+    return supported;
+  }
+
+  /**
+   * Check if a command type is supported by a vehicle
+   * @param {string} vin - Vehicle VIN
+   * @param {string} commandType - Command type (e.g. 'openSunroof')
+   */
+  isCommandSupported(vin, commandType) {
+    return isCommandNameSupported(this.commandCapabilities.get(vin), COMMAND_NAMES[commandType]);
+  }
+
+  /**
+   * Reject commands the vehicle does not support before they reach the queue
+   */
+  _assertCommandSupported(vin, commandType) {
+    if (this.isCommandSupported(vin, commandType)) {
+      return;
+    }
+
+    const error = new Error(`Command ${commandType} (${COMMAND_NAMES[commandType]}) is not supported by this vehicle`);
+    error.code = 'COMMAND_NOT_SUPPORTED';
+    error.commandType = commandType;
+    throw error;
+  }
+
+  /**
+   * Send command to vehicle via REST (queued per vehicle)
    */
   async _sendCommand(vin, commandType, commandData = {}) {
     const endpoint = `/v1/vehicle/${vin}/command/${commandType}`;
 
-    this.homey.app.log(`Sending command ${commandType} to vehicle ${vin}`);
+    this._assertCommandSupported(vin, commandType);
 
-    try {
-      const response = await this._request('POST', endpoint, commandData);
+    return this.getCommandQueue(vin).enqueue(commandType, commandData, async () => {
+      this.logger.info(`Sending command ${commandType} to vehicle ${vin}`);
 
-      // Wait for command to be processed
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      try {
+        const response = await this._request('POST', endpoint, commandData);
 
-      return response;
-    } catch (error) {
-      this.homey.app.error(`Command ${commandType} failed: ${error.message}`);
-      throw error;
-    }
+        // Wait for command to be processed
+        await new Promise(resolve => setTimeout(resolve, 2000));
+
+        return response;
+      } catch (error) {
+        this.logger.error(`Command ${commandType} failed: ${error.message}`);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Send command to vehicle via WebSocket (queued per vehicle)
+   * @param {string} vin - Vehicle VIN
+   * @param {string} commandType - Command name, used for logging and deduplication
+   * @param {Object} params - Command parameters, used for deduplication
+   * @param {Function} createMessage - Builds a fresh {buffer, requestId} for every attempt
+   */
+  async _sendWebSocketCommand(vin, commandType, params, createMessage) {
+    this._assertCommandSupported(vin, commandType);
+
+    return this.getCommandQueue(vin).enqueue(commandType, params, async () => {
+      if (!this.websocket) {
+        const error = new Error('WebSocket connection not available for command');
+        error.code = 'SOCKET_NOT_OPEN';
+        error.commandType = commandType;
+        throw error;
+      }
+
+      const { buffer, requestId } = createMessage();
+      return await this.websocket.sendCommand(buffer, requestId, { vin, commandType });
+    });
   }
 
   /**
    * Lock vehicle doors
    */
   async lockVehicle(vin) {
-    this.homey.app.log(`[API] Locking vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createLockCommand(vin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Locking vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'lockVehicle', {}, () => this.protoParser.createLockCommand(vin));
   }
 
   /**
@@ -221,9 +338,8 @@ class MercedesAPI {
       throw new Error('PIN is required to unlock the vehicle');
     }
 
-    this.homey.app.log(`[API] Unlocking vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createUnlockCommand(vin, pin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Unlocking vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'unlockVehicle', { pin }, () => this.protoParser.createUnlockCommand(vin, pin));
   }
 
   /**
@@ -234,45 +350,40 @@ class MercedesAPI {
       throw new Error('PIN is required to start the engine');
     }
 
-    this.homey.app.log(`[API] Starting engine for vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createStartEngineCommand(vin, pin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Starting engine for vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'startEngine', { pin }, () => this.protoParser.createStartEngineCommand(vin, pin));
   }
 
   /**
    * Stop engine
    */
   async stopEngine(vin) {
-    this.homey.app.log(`[API] Stopping engine for vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createStopEngineCommand(vin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Stopping engine for vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'stopEngine', {}, () => this.protoParser.createStopEngineCommand(vin));
   }
 
   /**
    * Start climate control (preconditioning)
    */
   async startClimate(vin) {
-    this.homey.app.log(`[API] Starting climate control for vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createStartClimateCommand(vin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Starting climate control for vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'startClimate', {}, () => this.protoParser.createStartClimateCommand(vin));
   }
 
   /**
    * Stop climate control
    */
   async stopClimate(vin) {
-    this.homey.app.log(`[API] Stopping climate control for vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createStopClimateCommand(vin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Stopping climate control for vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'stopClimate', {}, () => this.protoParser.createStopClimateCommand(vin));
   }
 
   /**
    * Flash lights (signal position)
    */
   async flashLights(vin) {
-    this.homey.app.log(`[API] Flashing lights for vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createFlashLightsCommand(vin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Flashing lights for vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'flashLights', {}, () => this.protoParser.createFlashLightsCommand(vin));
   }
 
   /**
@@ -281,9 +392,8 @@ class MercedesAPI {
    * @param {string} mode - 'horn_light', 'horn_only', or 'panic'
    */
   async soundHorn(vin, mode) {
-    this.homey.app.log(`[API] Sounding horn for vehicle ${vin} with mode: ${mode}`);
-    const { buffer, requestId } = this.protoParser.createSoundHornCommand(vin, mode);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Sounding horn for vehicle ${vin} with mode: ${mode}`);
+    return await this._sendWebSocketCommand(vin, 'soundHorn', { mode }, () => this.protoParser.createSoundHornCommand(vin, mode));
   }
 
   /**
@@ -314,18 +424,16 @@ class MercedesAPI {
    * Start ZEV preconditioning (electric climate control)
    */
   async startPrecond(vin) {
-    this.homey.app.log(`[API] Starting preconditioning for vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createStartPrecondCommand(vin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Starting preconditioning for vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'startPrecond', {}, () => this.protoParser.createStartPrecondCommand(vin));
   }
 
   /**
    * Stop ZEV preconditioning
    */
   async stopPrecond(vin) {
-    this.homey.app.log(`[API] Stopping preconditioning for vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createStopPrecondCommand(vin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Stopping preconditioning for vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'stopPrecond', {}, () => this.protoParser.createStopPrecondCommand(vin));
   }
 
   /**
@@ -335,9 +443,8 @@ class MercedesAPI {
    * @param {number} mode - 0=disabled, 1=single, 2=weekly
    */
   async configurePrecondDeparture(vin, departureTime, mode) {
-    this.homey.app.log(`[API] Configuring precond departure for vehicle ${vin}: ${departureTime} min, mode=${mode}`);
-    const { buffer, requestId } = this.protoParser.createConfigurePrecondDepartureCommand(vin, departureTime, mode);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Configuring precond departure for vehicle ${vin}: ${departureTime} min, mode=${mode}`);
+    return await this._sendWebSocketCommand(vin, 'configurePrecondDeparture', { departureTime, mode }, () => this.protoParser.createConfigurePrecondDepartureCommand(vin, departureTime, mode));
   }
 
   /**
@@ -346,9 +453,8 @@ class MercedesAPI {
    * @param {Array} zones - Array of {zone, temperature} objects
    */
   async configureTemperature(vin, zones) {
-    this.homey.app.log(`[API] Configuring temperature for vehicle ${vin}:`, zones);
-    const { buffer, requestId } = this.protoParser.createConfigureTemperatureCommand(vin, zones);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Configuring temperature for vehicle ${vin}:`, zones);
+    return await this._sendWebSocketCommand(vin, 'configureTemperature', { zones }, () => this.protoParser.createConfigureTemperatureCommand(vin, zones));
   }
 
   /**
@@ -360,18 +466,16 @@ class MercedesAPI {
    * @param {boolean} rearRight - Rear right seat heating enabled
    */
   async configureSeatHeating(vin, frontLeft, frontRight, rearLeft, rearRight) {
-    this.homey.app.log(`[API] Configuring seat heating for vehicle ${vin}: FL=${frontLeft}, FR=${frontRight}, RL=${rearLeft}, RR=${rearRight}`);
-    const { buffer, requestId } = this.protoParser.createConfigureSeatHeatingCommand(vin, frontLeft, frontRight, rearLeft, rearRight);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Configuring seat heating for vehicle ${vin}: FL=${frontLeft}, FR=${frontRight}, RL=${rearLeft}, RR=${rearRight}`);
+    return await this._sendWebSocketCommand(vin, 'configureSeatHeating', { frontLeft, frontRight, rearLeft, rearRight }, () => this.protoParser.createConfigureSeatHeatingCommand(vin, frontLeft, frontRight, rearLeft, rearRight));
   }
 
   /**
    * Close windows
    */
   async closeWindows(vin) {
-    this.homey.app.log(`[API] Closing windows for vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createCloseWindowsCommand(vin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Closing windows for vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'closeWindows', {}, () => this.protoParser.createCloseWindowsCommand(vin));
   }
 
   /**
@@ -382,9 +486,8 @@ class MercedesAPI {
       throw new Error('PIN is required to open windows');
     }
 
-    this.homey.app.log(`[API] Opening windows for vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createOpenWindowsCommand(vin, pin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Opening windows for vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'openWindows', { pin }, () => this.protoParser.createOpenWindowsCommand(vin, pin));
   }
 
   /**
@@ -395,40 +498,37 @@ class MercedesAPI {
       throw new Error('PIN is required to open sunroof');
     }
 
-    this.homey.app.log(`[API] Opening sunroof for vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createOpenSunroofCommand(vin, pin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Opening sunroof for vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'openSunroof', { pin }, () => this.protoParser.createOpenSunroofCommand(vin, pin));
   }
 
   /**
    * Close sunroof
    */
   async closeSunroof(vin) {
-    this.homey.app.log(`[API] Closing sunroof for vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createCloseSunroofCommand(vin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Closing sunroof for vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'closeSunroof', {}, () => this.protoParser.createCloseSunroofCommand(vin));
   }
 
   /**
    * Tilt sunroof
    */
   async tiltSunroof(vin) {
-    this.homey.app.log(`[API] Tilting sunroof for vehicle ${vin}`);
-    const { buffer, requestId } = this.protoParser.createTiltSunroofCommand(vin);
-    return await this.websocket.sendCommand(buffer, requestId);
+    this.logger.info(`Tilting sunroof for vehicle ${vin}`);
+    return await this._sendWebSocketCommand(vin, 'tiltSunroof', {}, () => this.protoParser.createTiltSunroofCommand(vin));
   }
 
   /**
    * Get geofencing violations
    */
   async getGeofencingViolations(vin) {
-    this.homey.app.log(`[API] Getting geofencing violations for ${vin}`);
+    this.logger.info(`Getting geofencing violations for ${vin}`);
     try {
       const violations = await this._request('GET', `/v1/geofencing/vehicles/${vin}/fences/violations`);
       return violations || [];
     } catch (error) {
       // Don't log as error since this is often not enabled
-      this.homey.app.log(`[API] Geofencing check failed (service might be inactive): ${error.message}`);
+      this.logger.info(`Geofencing check failed (service might be inactive): ${error.message}`);
       return [];
     }
   }
@@ -471,56 +571,56 @@ class MercedesAPI {
 
   /**
    * Connect to WebSocket for real-time push updates
-   * @param {Function} onDataReceived - Callback function for handling vehicle data updates
+   * @param {Object} listeners - MercedesWebSocket event listeners by event name
+   *   (vepUpdate, commandStatus, assignedVehicles, serviceStatus, userData, connectionState)
    */
-  async connectWebSocket(onDataReceived) {
+  async connectWebSocket(listeners = {}) {
     // Make sure protobuf parser is initialized
     await this.initialize();
 
-    if (this.websocket && this.websocket.isConnected()) {
-      this.homey.app.log('[API] WebSocket already connected');
+    // An existing client is connected or reconnects by itself
+    if (this.websocket) {
+      this.logger.info(`WebSocket already ${this.websocket.getConnectionState()}`);
       return;
     }
 
-    this.homey.app.log('[API] Initializing WebSocket connection...');
+    this.logger.info('Initializing WebSocket connection...');
 
     // Create WebSocket client
     this.websocket = new MercedesWebSocket(
       this.homey,
       this.oauth,
       this.region,
-      this.protoParser
+      this.protoParser,
+      this.logger.child('WS')
     );
 
-    // Connect with message handler
-    await this.websocket.connect(async (message) => {
-      try {
-        // Process vepUpdates messages
-        if (message.msg === 'vepUpdates' && message.vepUpdates && message.vepUpdates.updates) {
-          this.homey.app.log('[API] Processing vepUpdates from WebSocket');
-
-          // Extract VIN and vehicle data from updates
-          const updates = message.vepUpdates.updates;
+    this.websocket.on('vepUpdate', ({ vin, data, fullUpdate }) => {
+      this.logger.debug(`${fullUpdate ? 'Full' : 'Partial'} update for VIN ${vin}, ${Object.keys(data).length} keys`);
+    });
+    this.websocket.on('assignedVehicles', ({ vins }) => {
+      this.logger.info(`Vehicles assigned to the account: ${vins.join(', ') || 'none'}`);
+    });
+    this.websocket.on('connectionState', ({ state, previous }) => {
+      this.logger.info(`WebSocket ${previous} -> ${state}`);
+    });
 
-          for (const [vin, vepUpdate] of Object.entries(updates)) {
-            this.homey.app.log(`[API] Processing update for VIN: ${vin}`);
-            this.homey.app.log(`[API] Full update: ${vepUpdate.fullUpdate}, Attributes count: ${Object.keys(vepUpdate.attributes || {}).length}`);
+    for (const [event, listener] of Object.entries(listeners)) {
+      this.websocket.on(event, listener);
+    }
 
-            // Extract vehicle data from VEPUpdate
-            const vehicleData = this.protoParser.extractVehicleData(vepUpdate);
+    await this.websocket.connect();
 
-            // Call the data received callback
-            if (onDataReceived) {
-              await onDataReceived(vin, vehicleData, vepUpdate.fullUpdate);
-            }
-          }
-        }
-      } catch (error) {
-        this.homey.app.error('[API] Error processing WebSocket message:', error.message);
-      }
-    });
+    this.logger.info('WebSocket connection initiated');
+  }
 
-    this.homey.app.log('[API] WebSocket connection initiated');
+  /**
+   * Reconnect the WebSocket (e.g. with a refreshed token), no-op when it was never connected
+   */
+  async reconnectWebSocket() {
+    if (this.websocket) {
+      await this.websocket.reconnect();
+    }
   }
 
   /**
@@ -528,10 +628,10 @@ class MercedesAPI {
    */
   async disconnectWebSocket() {
     if (this.websocket) {
-      this.homey.app.log('[API] Disconnecting WebSocket...');
+      this.logger.info('Disconnecting WebSocket...');
       this.websocket.disconnect();
       this.websocket = null;
-      this.homey.app.log('[API] WebSocket disconnected');
+      this.logger.info('WebSocket disconnected');
     }
   }
 
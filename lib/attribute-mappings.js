@@ -0,0 +1,468 @@
+'use strict';
+
+const { CAPABILITY_COMMANDS } = require('./command-capabilities');
+
+/**
+ * Vehicle attribute mappings
+ * Declarative table driving MercedesVehicleDevice.updateCapabilities and the capability
+ * migration in onInit. Each entry maps one Homey capability:
+ *
+ *   capability - Homey capability id
+ *   keys       - Attribute key aliases, the first one present in the vehicle data is used;
+ *                with read, all attributes the value depends on (the entry is re-evaluated when one changes)
+ *   read       - Custom reader for combined attributes: (data) => raw value or undefined
+ *   type       - Coercion when there is no values/convert: 'int', 'float', 'bool' or 'string'
+ *   values     - Value map (raw -> capability value), unknown values fall back to String(raw)
+ *   convert    - Custom conversion: (raw) => capability value
+ *   quantity   - Metric quantity shown in the unit of the device settings: 'distance', 'speed',
+ *                'pressure', 'temperature' or 'consumption' (see lib/units.js)
+ *   group      - Data group for the per-group "last updated" timestamps (DATA_GROUPS)
+ *   missing    - Value to set when a full update no longer contains the attribute
+ *   initial    - Value to set in onInit while the capability is still null
+ *   confirm    - Value is checked against pending optimistic updates (_acceptReportedState)
+ *   triggers   - [{ card, when: (value, previous) => boolean, tokens: (value, { data, device }) => Object }]
+ */
+
+// VehicleAttributeStatus.status - only VALID values are applied to capabilities
+const ATTRIBUTE_STATUS = {
+  VALID: 0,
+  NOT_RECEIVED: 1,
+  INVALID: 3,
+  NOT_AVAILABLE: 4
+};
+
+// Data groups with their own "last updated" timestamp
+const DATA_GROUPS = ['doors', 'charging', 'range', 'tires', 'trip', 'location', 'status'];
+
+const SUNROOF_STATUS = {
+  0: 'Closed',
+  1: 'Open',
+  2: 'Tilted',
+  3: 'Running',
+  4: 'Anti-Booming',
+  5: 'Intermediate',
+  6: 'Opening',
+  7: 'Closing'
+};
+
+const WINDOW_STATUS = {
+  0: 'Intermediate',
+  1: 'Open',
+  2: 'Closed',
+  3: 'Airing',
+  4: 'Running'
+};
+
+const DEPARTURE_TIME_MODE = {
+  0: 'Inactive',
+  1: 'Single',
+  2: 'Weekly'
+};
+
+const CHARGING_COMPLETED_STATUSES = ['FINISHED', 'COMPLETED', 'END', '4'];
+
+const WARNING_KEYS = ['warningwashwater', 'warningcoolantlevellow', 'warningbrakefluid', 'warningenginelight'];
+
+const LATITUDE_KEYS = ['positionlat', 'positionLat', 'latitude', 'gpsLat', 'gpslat'];
+const LONGITUDE_KEYS = ['positionlong', 'positionLong', 'longitude', 'gpsLon', 'gpslon'];
+
+const THEFT_ALARM_KEYS = ['theftalarmactive', 'theftAlarmActive', 'lasttheftwarning', 'lastTheftWarning'];
+
+/**
+ * Get the first attribute that is present in the vehicle data
+ * @param {Object} data - Vehicle data
+ * @param {Array} keys - Attribute key aliases
+ */
+function firstDefined(data, keys) {
+  for (const key of keys) {
+    if (data[key] !== undefined) {
+      return data[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Trigger a flow card when the capability changes to a value accepted by match
+ */
+function changedTo(card, match, tokens) {
+  return { card, when: (value, previous) => value !== previous && match(value), tokens };
+}
+
+const isCharging = value => value > 0;
+const isChargingCompleted = value => CHARGING_COMPLETED_STATUSES.includes(String(value).toUpperCase());
+
+const windowMapping = (side, keys) => ({
+  capability: `window_${side}`,
+  group: 'doors',
+  keys,
+  values: WINDOW_STATUS,
+  triggers: [
+    changedTo('window_closed', value => ['Closed', 'CLOSED', '2'].includes(value), () => ({ window: side })),
+    changedTo('window_opened', value => ['Open', 'OPEN', '1', 'Intermediate', 'Airing'].includes(value), () => ({ window: side }))
+  ]
+});
+
+const doorMapping = (name, capability, keys) => ({
+  capability,
+  group: 'doors',
+  keys,
+  convert: raw => (raw === true ? 'Open' : raw === false ? 'Closed' : String(raw)),
+  triggers: [
+    changedTo('door_closed', value => ['Closed', 'CLOSED', 'false', '0'].includes(value), () => ({ door: name })),
+    changedTo('door_opened', value => ['Open', 'OPEN', 'true', '1'].includes(value), () => ({ door: name }))
+  ]
+});
+
+const ATTRIBUTE_MAPPINGS = [
+  {
+    capability: 'locked',
+    group: 'doors',
+    keys: ['doorlockstatusvehicle'],
+    convert: raw => raw === 2, // 2 = external locked
+    confirm: true,
+    triggers: [
+      changedTo('vehicle_locked', value => value === true),
+      changedTo('vehicle_unlocked', value => value === false)
+    ]
+  },
+  {
+    capability: 'measure_battery',
+    group: 'charging',
+    keys: ['soc'],
+    type: 'int',
+    triggers: [
+      {
+        card: 'low_battery',
+        when: (value, previous) => value < 20 && previous >= 20,
+        tokens: value => ({ battery_level: value })
+      }
+    ]
+  },
+  {
+    capability: 'meter_power',
+    group: 'charging',
+    keys: ['chargingpower', 'chargingPower'],
+    type: 'float',
+    triggers: [
+      {
+        card: 'charging_started',
+        when: (value, previous) => !isCharging(previous) && isCharging(value),
+        tokens: value => ({ charging_power: value })
+      },
+      {
+        card: 'charging_stopped',
+        when: (value, previous) => isCharging(previous) && !isCharging(value)
+      }
+    ]
+  },
+  {
+    capability: 'onoff.engine',
+    group: 'status',
+    keys: ['enginestate', 'engineState'],
+    convert: raw => raw === true || raw === 'RUNNING',
+    confirm: true,
+    triggers: [
+      changedTo('engine_started', value => value === true),
+      changedTo('engine_stopped', value => value === false)
+    ]
+  },
+  {
+    // Switched by auxheatStart/auxheatStop, so confirmed by the auxiliary heating state
+    capability: 'onoff.climate',
+    group: 'charging',
+    keys: ['auxheatactive', 'auxheatActive'],
+    type: 'bool',
+    confirm: true
+  },
+
+  // Tire pressures (converted to bar in parser)
+  { capability: 'tire_pressure_bar.tire_fl', keys: ['tirepressurefrontleft', 'tirepressureFrontLeft'], type: 'float', quantity: 'pressure', group: 'tires' },
+  { capability: 'tire_pressure_bar.tire_fr', keys: ['tirepressurefrontright', 'tirepressureFrontRight'], type: 'float', quantity: 'pressure', group: 'tires' },
+  { capability: 'tire_pressure_bar.tire_rl', keys: ['tirepressurerearleft', 'tirepressureRearLeft'], type: 'float', quantity: 'pressure', group: 'tires' },
+  { capability: 'tire_pressure_bar.tire_rr', keys: ['tirepressurerearright', 'tirepressureRearRight'], type: 'float', quantity: 'pressure', group: 'tires' },
+
+  // Trip data
+  { capability: 'odometer', keys: ['odo'], type: 'float', quantity: 'distance', group: 'trip' },
+  { capability: 'distance_start', keys: ['distancestart', 'distanceStart'], type: 'float', quantity: 'distance', group: 'trip' },
+  { capability: 'distance_electrical', keys: ['distanceelectricalstart', 'distanceElectricalStart'], type: 'float', quantity: 'distance', group: 'trip' },
+  { capability: 'driven_time_start', keys: ['driventimestart', 'drivenTimeStart'], type: 'int', group: 'trip' },
+  {
+    capability: 'average_speed',
+    group: 'trip',
+    keys: ['averagespeedstart', 'averageSpeedStart'],
+    type: 'float',
+    quantity: 'speed',
+    missing: 0, // Dropped from full updates while the car is stopped
+    initial: 0
+  },
+  { capability: 'ecoscore_accel', keys: ['ecoscoreaccel', 'ecoScoreAccel', 'ecoscoreAccel'], type: 'int', group: 'trip' },
+  { capability: 'ecoscore_const', keys: ['ecoscoreconst', 'ecoScoreConst', 'ecoscoreConst'], type: 'int', group: 'trip' },
+  { capability: 'ecoscore_freewhl', keys: ['ecoscorefreewhl', 'ecoScoreFreeWhl', 'ecoscoreFreeWhl', 'ecoScoreFreewheel'], type: 'int', group: 'trip' },
+
+  {
+    capability: 'alarm_generic',
+    group: 'status',
+    keys: WARNING_KEYS,
+    read: data => (firstDefined(data, WARNING_KEYS) !== undefined
+      ? WARNING_KEYS.some(key => data[key] === true)
+      : undefined),
+    type: 'bool',
+    triggers: [
+      { card: 'warning_light_activated', when: (value, previous) => value === true && previous !== true }
+    ]
+  },
+
+  // Ranges and levels
+  { capability: 'measure_range_electric', keys: ['rangeelectric'], type: 'float', quantity: 'distance', group: 'range' },
+  { capability: 'measure_range_liquid', keys: ['rangeliquid'], type: 'float', quantity: 'distance', group: 'range' },
+  { capability: 'measure_fuel', keys: ['tanklevelpercent'], type: 'int', group: 'range' },
+  { capability: 'measure_consumption_liquid', keys: ['liquidconsumptionstart', 'liquidConsumptionStart'], type: 'float', quantity: 'consumption', group: 'range' },
+  { capability: 'measure_adblue_level', keys: ['tankLevelAdBlue'], type: 'int', group: 'range' },
+  {
+    capability: 'onoff.ignition',
+    group: 'status',
+    keys: ['ignitionstate'],
+    convert: raw => ['0', '1', '2', '4'].includes(raw) // 0: lock, 1: radio, 2: ignition, 4: start
+  },
+  { capability: 'measure_oil_level', keys: ['oilLevel'], type: 'int', group: 'range' },
+
+  // Charging
+  {
+    capability: 'text_charging_status',
+    group: 'charging',
+    keys: ['chargingstatus'],
+    type: 'string',
+    triggers: [
+      {
+        card: 'charging_completed',
+        when: (value, previous) => !!previous && !isChargingCompleted(previous) && isChargingCompleted(value),
+        tokens: (value, { device }) => ({ battery_level: device.getCapabilityValue('measure_battery') || 0 })
+      }
+    ]
+  },
+  { capability: 'text_charge_program', keys: ['selectedChargeProgram'], type: 'string', group: 'charging' },
+  { capability: 'measure_max_soc', keys: ['maxSoc', 'max_soc'], type: 'int', group: 'charging' },
+  { capability: 'text_end_charge_time', keys: ['endofchargetime'], type: 'string', group: 'charging' },
+
+  { capability: 'window_sunroof', keys: ['sunroofstatus'], values: SUNROOF_STATUS, group: 'doors' },
+
+  // Departure time
+  { capability: 'text_departure_time', keys: ['departuretime'], type: 'string', initial: '-', group: 'charging' },
+  {
+    capability: 'text_departure_time_mode',
+    group: 'charging',
+    keys: ['departureTimeMode', 'departuretimemode', 'departuretime_mode'],
+    values: DEPARTURE_TIME_MODE,
+    initial: '-'
+  },
+
+  // Position - usually not in vehicle attributes, pollVehicleData reads it from the geofencing API
+  {
+    capability: 'measure_latitude',
+    group: 'location',
+    keys: [...LATITUDE_KEYS, ...LONGITUDE_KEYS],
+    read: data => (firstDefined(data, LONGITUDE_KEYS) !== undefined ? firstDefined(data, LATITUDE_KEYS) : undefined),
+    type: 'float'
+  },
+  {
+    capability: 'measure_longitude',
+    group: 'location',
+    keys: [...LATITUDE_KEYS, ...LONGITUDE_KEYS],
+    read: data => (firstDefined(data, LATITUDE_KEYS) !== undefined ? firstDefined(data, LONGITUDE_KEYS) : undefined),
+    type: 'float'
+  },
+  { capability: 'measure_heading', keys: ['positionHeading', 'positionheading', 'heading', 'gpsHeading', 'gpsheading'], type: 'float', group: 'location' },
+
+  // Windows and doors
+  windowMapping('front_left', ['windowstatusfrontleft']),
+  windowMapping('front_right', ['windowstatusfrontright']),
+  windowMapping('rear_left', ['windowstatusrearleft']),
+  windowMapping('rear_right', ['windowstatusrearright']),
+  doorMapping('front_left', 'door_front_left', ['doorstatusfrontleft', 'doorStatusFrontLeft', 'doorFrontLeftStatus']),
+  doorMapping('front_right', 'door_front_right', ['doorstatusfrontright', 'doorStatusFrontRight', 'doorFrontRightStatus']),
+  doorMapping('rear_left', 'door_rear_left', ['doorstatusrearleft', 'doorStatusRearLeft', 'doorRearLeftStatus']),
+  doorMapping('rear_right', 'door_rear_right', ['doorstatusrearright', 'doorStatusRearRight', 'doorRearRightStatus']),
+  doorMapping('trunk', 'door_trunk', ['decklidstatus', 'decklidStatus', 'trunkStatus']),
+  doorMapping('hood', 'door_hood', ['enginehoodstatus', 'engineHoodStatus', 'hoodStatus']),
+
+  { capability: 'parking_brake_engaged', keys: ['parkbrakestatus'], type: 'bool', group: 'status' },
+  { capability: 'measure_service_days', keys: ['serviceintervaldays'], type: 'int', group: 'status' },
+  {
+    capability: 'measure_battery_temperature',
+    group: 'status',
+    keys: [
+      'temperaturehvbattery', 'temperatureHVBattery',
+      'hvbatterytemperature', 'hvBatteryTemperature',
+      'ecoelectricbatterytemperature', 'ecoElectricBatteryTemperature',
+      'batterytemperature', 'batteryTemperature'
+    ],
+    type: 'float',
+    quantity: 'temperature'
+  },
+
+  // Command-backed states (only present when the vehicle supports the command)
+  { capability: 'onoff_precond', keys: ['precondactive', 'precondActive'], type: 'bool', group: 'charging' },
+  { capability: 'onoff_auxheat', keys: ['auxheatactive', 'auxheatActive'], type: 'bool', group: 'charging' },
+  { capability: 'onoff_remote_start', keys: ['remotestartactive', 'remoteStartActive'], type: 'bool', group: 'status' },
+
+  // Theft protection
+  { capability: 'theft_system_armed', keys: ['theftsystemarmed', 'theftSystemArmed'], type: 'bool', group: 'doors' },
+  {
+    capability: 'alarm_theft',
+    group: 'doors',
+    keys: THEFT_ALARM_KEYS,
+    read: data => (firstDefined(data, THEFT_ALARM_KEYS) !== undefined
+      ? firstDefined(data, ['theftalarmactive', 'theftAlarmActive'])
+      : undefined),
+    convert: raw => raw === true || raw === 1,
+    triggers: [
+      {
+        card: 'vehicle_alarm',
+        when: (value, previous) => value && !previous,
+        tokens: (value, { data }) => ({
+          reason: String(firstDefined(data, ['lasttheftwarningreason', 'lastTheftWarningReason']) || 'UNKNOWN')
+        })
+      }
+    ]
+  },
+
+  // Geofence data from WebSocket (if available)
+  {
+    capability: 'text_geofence_last_zone',
+    group: 'location',
+    keys: ['geofencename', 'geofenceName', 'geofence_name', 'lastgeofencezone', 'lastGeofenceZone', 'currentzone', 'currentZone'],
+    type: 'string',
+    initial: '-'
+  },
+  {
+    capability: 'text_geofence_last_event',
+    group: 'location',
+    keys: ['geofenceevent', 'geofenceEvent', 'geofence_event', 'lastgeofenceevent', 'lastGeofenceEvent'],
+    type: 'string',
+    initial: '-'
+  }
+];
+
+// Capabilities filled from other endpoints (geofencing API), added in onInit as well
+const OTHER_CAPABILITIES = [
+  { capability: 'time_geofence_last_event', initial: '-' }
+];
+
+// Capabilities of older app versions, removed in onInit
+const DEPRECATED_CAPABILITIES = [
+  'text_charge_flap_state',
+  'ecoscore_total',
+  'text_charge_inlet_coupler', 'text_charge_inlet_lock', 'text_charge_flap_dc_status',
+  'window_status.front_left', 'window_status.front_right', 'window_status.rear_left', 'window_status.rear_right',
+  'door_status.front_left', 'door_status.front_right', 'door_status.rear_left', 'door_status.rear_right',
+  'door_status.trunk', 'door_status.hood',
+  'alarm_parking_brake',
+  'alarm_starter_battery',
+  'tire_temperature.tire_fl', 'tire_temperature.tire_fr', 'tire_temperature.tire_rl', 'tire_temperature.tire_rr',
+  'alarm_tire_warning',
+  'alarm_theft_system'
+];
+
+/**
+ * Coerce a raw attribute value to the capability type
+ */
+function coerce(raw, type) {
+  switch (type) {
+    case 'int':
+      return parseInt(raw);
+    case 'float':
+      return parseFloat(raw);
+    case 'bool':
+      return raw === true || raw === 'true' || raw === 1;
+    case 'string':
+      return String(raw);
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Remove attributes the vehicle reports as not received, invalid or not available
+ * @param {Object} data - Vehicle data (parser.extractVehicleData)
+ * @returns {Object} { data, skipped } - Vehicle data with valid attributes only, skipped attribute keys
+ */
+function filterValidAttributes(data) {
+  const attributeStatus = data.attributeStatus || {};
+  const valid = { ...data };
+  const skipped = [];
+
+  for (const [key, meta] of Object.entries(attributeStatus)) {
+    if (meta.status !== undefined && meta.status !== ATTRIBUTE_STATUS.VALID) {
+      delete valid[key];
+      skipped.push(key);
+    }
+  }
+
+  return { data: valid, skipped };
+}
+
+/**
+ * Read the capability value of a mapping from vehicle data
+ * @param {Object} mapping - Entry of ATTRIBUTE_MAPPINGS
+ * @param {Object} data - Vehicle data (parser.extractVehicleData)
+ * @returns {Object|null} { raw, value, timestamp } or null if the attribute is not in the update
+ */
+function readAttribute(mapping, data) {
+  const key = mapping.read ? null : mapping.keys.find(k => data[k] !== undefined);
+  const raw = mapping.read ? mapping.read(data) : data[key];
+
+  if (raw === undefined) {
+    return mapping.missing !== undefined ? { raw, value: mapping.missing, timestamp: null } : null;
+  }
+
+  // Measurement time of the attribute, combined attributes use the time of the update
+  const meta = key && data.attributeStatus ? data.attributeStatus[key] : null;
+  const timestamp = (meta && meta.timestamp) || data.timestamp || Date.now();
+
+  let value;
+  if (mapping.convert) {
+    value = mapping.convert(raw);
+  } else if (mapping.values) {
+    value = mapping.values[raw] || String(raw);
+  } else {
+    value = coerce(raw, mapping.type);
+  }
+
+  return { raw, value, timestamp };
+}
+
+/**
+ * Read the value of a capability from vehicle data, through its mapping
+ * @param {string} capability - Capability id of an ATTRIBUTE_MAPPINGS entry
+ * @param {Object} data - Vehicle data
+ * @returns {*} Capability value before display unit conversion, null when the vehicle did not report it
+ */
+function readValue(capability, data) {
+  const mapping = ATTRIBUTE_MAPPINGS.find(entry => entry.capability === capability);
+  const reading = mapping ? readAttribute(mapping, data) : null;
+  return reading && reading.raw !== undefined && !Number.isNaN(reading.value) ? reading.value : null;
+}
+
+/**
+ * Capabilities every device should have, with their initial value
+ * Command-backed capabilities are left to _syncCommandCapabilities
+ * @returns {Array} [{ capability, initial }]
+ */
+function getMigrationCapabilities() {
+  return [...ATTRIBUTE_MAPPINGS, ...OTHER_CAPABILITIES]
+    .filter(mapping => !CAPABILITY_COMMANDS[mapping.capability])
+    .map(({ capability, initial }) => ({ capability, initial }));
+}
+
+module.exports = {
+  ATTRIBUTE_MAPPINGS,
+  ATTRIBUTE_STATUS,
+  DATA_GROUPS,
+  DEPRECATED_CAPABILITIES,
+  filterValidAttributes,
+  readAttribute,
+  readValue,
+  isChargingCompleted,
+  getMigrationCapabilities
+};
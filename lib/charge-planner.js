@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * Charge planner
+ * Picks the cheapest hours before departure to charge the battery to a target SoC.
+ * The API has no start/stop charging command, so the plan is applied through the max SoC:
+ * inside a charge slot the max SoC is the target, outside it is held at the current SoC
+ * (rounded down) so the vehicle pauses charging. The vehicle accepts no max SoC below 50%, so
+ * from a lower SoC it charges to 50% right away at any price: the plan starts with that
+ * forced charge and only picks the cheapest hours for the rest.
+ *
+ * Pure functions without Homey dependencies, so plans can be tested with synthetic price curves.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+// configureBatteryMaxSoc accepts 50-100% in steps of 10
+const MAX_SOC_MIN = 50;
+const MAX_SOC_MAX = 100;
+const MAX_SOC_STEP = 10;
+
+// Charging power when neither the vehicle nor a previous session tells us (11 kW AC wallbox)
+const DEFAULT_POWER = 11;
+
+/**
+ * Create an error with a code, like the command errors of MercedesAPI
+ */
+function plannerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parse an hourly price list
+ * Accepts a JSON string or value: an array of prices starting at the current hour, an array
+ * of { start | startsAt | time | from, price | total | value } objects, or an object with
+ * such an array in prices, or in today and tomorrow (Tibber style)
+ * @param {string|Array|Object} input - Price list
+ * @param {number} now - Current time in ms, start of the first price of a plain array
+ * @returns {Array} [{ start, price }] sorted by start, start in ms at the full hour
+ */
+function parsePrices(input, now) {
+  let value = input;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      throw plannerError(`Price list is not valid JSON: ${error.message}`, 'INVALID_PRICES');
+    }
+  }
+
+  if (value && !Array.isArray(value)) {
+    value = value.prices || [...(value.today || []), ...(value.tomorrow || [])];
+  }
+  if (!Array.isArray(value) || value.length === 0) {
+    throw plannerError('Price list is empty', 'INVALID_PRICES');
+  }
+
+  const firstHour = Math.floor(now / HOUR) * HOUR;
+  const prices = value.map((entry, index) => {
+    if (typeof entry === 'number' || typeof entry === 'string') {
+      return { start: firstHour + index * HOUR, price: parseFloat(entry) };
+    }
+
+    const start = entry.start || entry.startsAt || entry.time || entry.from;
+    const price = [entry.price, entry.total, entry.value].find(candidate => candidate !== undefined);
+    return {
+      start: typeof start === 'number' ? start : Date.parse(start),
+      price: parseFloat(price)
+    };
+  });
+
+  const invalid = prices.find(entry => Number.isNaN(entry.start) || Number.isNaN(entry.price));
+  if (invalid) {
+    throw plannerError('Price list contains an entry without a valid start time or price', 'INVALID_PRICES');
+  }
+
+  return prices
+    .map(entry => ({ start: Math.floor(entry.start / HOUR) * HOUR, price: entry.price }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Get the next occurrence of a local time of day
+ * @param {string} time - 'HH:mm'
+ * @param {number} now - Current time in ms
+ * @param {string} timeZone - IANA time zone (Homey clock)
+ * @returns {number} Time in ms, within the next 24 hours
+ */
+function nextDeparture(time, now, timeZone) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+  if (!match) {
+    throw plannerError(`Invalid departure time: ${time}`, 'INVALID_DEPARTURE');
+  }
+
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone, hour: 'numeric', minute: 'numeric', second: 'numeric', hourCycle: 'h23'
+  }).formatToParts(new Date(now));
+  const part = type => parseInt(parts.find(p => p.type === type).value, 10);
+
+  const localSeconds = part('hour') * 3600 + part('minute') * 60 + part('second');
+  const departureSeconds = parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60;
+  const wait = (departureSeconds - localSeconds + 86400) % 86400 || 86400;
+
+  return Math.floor(now / 1000) * 1000 + wait * 1000;
+}
+
+/**
+ * Round a SoC to a max SoC the vehicle accepts
+ * @param {number} soc - State of charge in %
+ * @param {Function} rounding - Math.ceil or Math.floor
+ */
+function roundMaxSoc(soc, rounding = Math.ceil) {
+  const rounded = rounding(soc / MAX_SOC_STEP) * MAX_SOC_STEP;
+  return Math.min(MAX_SOC_MAX, Math.max(MAX_SOC_MIN, rounded));
+}
+
+/**
+ * Plan the charge slots
+ * @param {Object} options
+ * @param {Array} options.prices - Hourly prices (parsePrices)
+ * @param {number} options.now - Current time in ms
+ * @param {number} options.departure - Departure time in ms
+ * @param {number} options.soc - Current state of charge in %
+ * @param {number} options.targetSoc - State of charge wanted at departure in %
+ * @param {number} options.capacity - Usable battery capacity in kWh
+ * @param {number} [options.power] - Charging power in kW
+ * @returns {Object} { slots: [{ start, end, price, forced }], energy, hours, cost, feasible, maxSoc },
+ *   forced slots are the charge to MAX_SOC_MIN the vehicle does by itself
+ */
+function planCharging({ prices, now, departure, soc, targetSoc, capacity, power = DEFAULT_POWER }) {
+  const maxSoc = roundMaxSoc(targetSoc);
+  const energy = Math.max(0, (maxSoc - soc) / 100 * capacity);
+  const hours = power > 0 ? energy / power : 0;
+  const forcedEnergy = Math.max(0, (MAX_SOC_MIN - soc) / 100 * capacity);
+  const forcedHours = power > 0 ? forcedEnergy / power : 0;
+
+  // Hourly slots between now and departure, cut to that interval, in time order
+  const candidates = [];
+  for (let start = Math.floor(now / HOUR) * HOUR; start < departure; start += HOUR) {
+    const entry = prices.find(p => p.start === start);
+    const from = Math.max(start, now);
+    const to = Math.min(start + HOUR, departure);
+    candidates.push({ start: from, end: to, price: entry ? entry.price : null, forced: false });
+  }
+
+  const slots = [];
+  let remaining = hours;
+  let cost = 0;
+
+  // Forced charge from now until MAX_SOC_MIN, the rest of the hour it ends in stays a candidate
+  let forcedRemaining = forcedHours;
+  while (forcedRemaining > 1e-9 && candidates.length > 0) {
+    const candidate = candidates[0];
+    const used = Math.min((candidate.end - candidate.start) / HOUR, forcedRemaining);
+    const end = Math.min(candidate.end, candidate.start + Math.round(used * HOUR));
+
+    slots.push({ start: candidate.start, end, price: candidate.price, forced: true });
+    if (candidate.price !== null) {
+      cost += used * power * candidate.price;
+    }
+    forcedRemaining -= used;
+    remaining -= used;
+
+    if (end < candidate.end) {
+      candidate.start = end;
+    } else {
+      candidates.shift();
+    }
+  }
+
+  // Cheapest hours for the rest, hours without a price come last
+  candidates.sort((a, b) => {
+    if (a.price === null || b.price === null) {
+      return (a.price === null) - (b.price === null) || a.start - b.start;
+    }
+    return a.price - b.price || a.start - b.start;
+  });
+
+  for (const candidate of candidates) {
+    if (remaining <= 0) {
+      break;
+    }
+    const available = (candidate.end - candidate.start) / HOUR;
+    const used = Math.min(available, remaining);
+    // A partly used slot charges at its start, the vehicle stops itself at the max SoC
+    slots.push(candidate);
+    if (candidate.price !== null) {
+      cost += used * power * candidate.price;
+    }
+    remaining -= used;
+  }
+  slots.sort((a, b) => a.start - b.start);
+
+  return {
+    slots,
+    energy: Math.round(energy * 100) / 100,
+    hours: Math.round(hours * 100) / 100,
+    cost: Math.round(cost * 100) / 100,
+    feasible: remaining <= 1e-9,
+    maxSoc
+  };
+}
+
+/**
+ * Max SoC to apply at a given time
+ * @param {Object} plan - planCharging() result
+ * @param {number} time - Time in ms
+ * @param {number} soc - Current state of charge in %
+ * @returns {number} Target max SoC inside a charge slot, otherwise the current SoC rounded down
+ *   (MAX_SOC_MIN below it, which is what charges the forced slots)
+ */
+function getMaxSoc(plan, time, soc) {
+  const charging = plan.slots.some(slot => !slot.forced && time >= slot.start && time < slot.end);
+  return charging ? plan.maxSoc : Math.min(plan.maxSoc, roundMaxSoc(soc, Math.floor));
+}
+
+/**
+ * Next time the max SoC of the plan changes
+ * @param {Object} plan - planCharging() result
+ * @param {number} time - Time in ms
+ * @returns {number|null} Next slot start or end after time, null when the plan is done
+ */
+function getNextChange(plan, time) {
+  const boundaries = plan.slots
+    .reduce((times, slot) => times.concat(slot.start, slot.end), [])
+    .filter(boundary => boundary > time);
+  return boundaries.length > 0 ? Math.min(...boundaries) : null;
+}
+
+module.exports = {
+  DEFAULT_POWER,
+  parsePrices,
+  nextDeparture,
+  roundMaxSoc,
+  planCharging,
+  getMaxSoc,
+  getNextChange
+};
@@ -0,0 +1,172 @@
+'use strict';
+
+const { ATTRIBUTE_MAPPINGS, readAttribute, readValue, isChargingCompleted } = require('./attribute-mappings');
+const Logger = require('./logger');
+
+// Capabilities whose attributes start, sample or end a charging session
+const SESSION_CAPABILITIES = ['meter_power', 'measure_battery', 'text_charging_status'];
+
+/**
+ * Charging logger
+ * Records charging sessions from the chargingpower, soc and chargingstatus attributes of
+ * the vehicle state model. A session starts when the charging power rises above 0 and
+ * ends when it drops to 0 or the charging status reports completion.
+ *
+ * The vehicle only reports the power when it changes, so the delivered energy is the
+ * integral of the power as a step function: every sample counts until the next one.
+ * The running session and a rolling history are kept in app storage (homey.settings) per VIN.
+ */
+class ChargingLogger {
+  // Number of finished sessions kept per vehicle
+  static HISTORY_SIZE = 100;
+
+  /**
+   * @param {Object} homey - Homey instance
+   * @param {string} vin - Vehicle VIN
+   * @param {Logger} [logger] - Logger, defaults to the app log
+   */
+  constructor(homey, vin, logger = null) {
+    this.homey = homey;
+    this.vin = vin;
+    this.logger = logger || new Logger(homey.app, { tag: 'CHARGING' });
+    this.settingsKey = `charging_${vin}`;
+    this.keys = ATTRIBUTE_MAPPINGS
+      .filter(mapping => SESSION_CAPABILITIES.includes(mapping.capability))
+      .reduce((keys, mapping) => keys.concat(mapping.keys), []);
+    this.statusKeys = ATTRIBUTE_MAPPINGS.find(mapping => mapping.capability === 'text_charging_status').keys;
+
+    const stored = this.homey.settings.get(this.settingsKey) || {};
+    this.current = stored.current || null; // { start, startSoc, endSoc, power, sampled, peakPower, energy }
+    this.history = stored.history || []; // newest first
+  }
+
+  /**
+   * Process an update of the vehicle state
+   * @param {Object} data - Vehicle state (VehicleState.toData)
+   * @param {Set} changes - Attribute keys changed by the update (VehicleState.apply)
+   * @param {Object} tariff - { price, currency } price per kWh for the cost of the session
+   * @returns {Object|null} The session that was finished by this update
+   */
+  update(data, changes, tariff = {}) {
+    if (!this.keys.some(key => changes.has(key))) {
+      return null;
+    }
+
+    const reading = readAttribute(ATTRIBUTE_MAPPINGS.find(m => m.capability === 'meter_power'), data);
+    const power = reading && reading.value > 0 ? reading.value : 0;
+    // The power reported last holds until this update
+    const time = Math.max(reading ? reading.timestamp : 0, data.timestamp || 0) || Date.now();
+    const soc = readValue('measure_battery', data);
+    // A completed status left over from the previous session must not end the next one
+    const completed = this.statusKeys.some(key => changes.has(key)) &&
+      isChargingCompleted(readValue('text_charging_status', data));
+
+    if (!this.current) {
+      if (power > 0) {
+        this.current = { start: time, startSoc: soc, endSoc: soc, power, sampled: time, peakPower: power, energy: 0 };
+        this.logger.info(`Session started at ${power} kW`);
+        this._save();
+      }
+      return null;
+    }
+
+    // Energy of the previous sample up to now (samples arrive out of order after reconnects)
+    if (time > this.current.sampled) {
+      this.current.energy += this.current.power * (time - this.current.sampled) / 3600000;
+      this.current.sampled = time;
+    }
+    this.current.power = power;
+    this.current.peakPower = Math.max(this.current.peakPower, power);
+    if (soc !== null) {
+      this.current.endSoc = soc;
+    }
+
+    if (power > 0 && !completed) {
+      this._save();
+      return null;
+    }
+
+    const session = this._finishSession(tariff);
+    this.current = null;
+
+    if (session.energy <= 0) {
+      this.logger.info('Session without energy, discarded');
+      this._save();
+      return null;
+    }
+
+    this.history = [session, ...this.history].slice(0, ChargingLogger.HISTORY_SIZE);
+    this._save();
+    this.logger.info(`Session finished, ${session.energy} kWh in ${session.duration} min`);
+
+    return session;
+  }
+
+  /**
+   * Get the finished sessions, newest first
+   * @returns {Array}
+   */
+  getHistory() {
+    return this.history;
+  }
+
+  /**
+   * Export the finished sessions as CSV, oldest first
+   * @returns {string}
+   */
+  toCSV() {
+    const columns = ['start', 'end', 'duration', 'startSoc', 'endSoc', 'energy', 'peakPower', 'averagePower', 'cost', 'currency'];
+    const rows = [...this.history].reverse().map(session => columns.map(column => {
+      const value = session[column];
+      if (column === 'start' || column === 'end') {
+        return new Date(value).toISOString();
+      }
+      return value === null || value === undefined ? '' : String(value);
+    }).join(','));
+
+    return [columns.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Remove the running session and the history (device deleted)
+   */
+  clear() {
+    this.current = null;
+    this.history = [];
+    this.homey.settings.unset(this.settingsKey);
+  }
+
+  /**
+   * Build the session record
+   * @param {Object} tariff - { price, currency }
+   */
+  _finishSession(tariff) {
+    const { start, sampled, startSoc, endSoc, peakPower, energy } = this.current;
+    const hours = (sampled - start) / 3600000;
+    const price = typeof tariff.price === 'number' && tariff.price > 0 ? tariff.price : null;
+
+    return {
+      start,
+      end: sampled,
+      duration: Math.round(hours * 60),
+      startSoc,
+      endSoc,
+      energy: round(energy, 2),
+      peakPower: round(peakPower, 1),
+      averagePower: hours > 0 ? round(energy / hours, 1) : 0,
+      cost: price !== null ? round(energy * price, 2) : null,
+      currency: price !== null ? tariff.currency || null : null
+    };
+  }
+
+  _save() {
+    this.homey.settings.set(this.settingsKey, { current: this.current, history: this.history });
+  }
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = ChargingLogger;
@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Command capability discovery
+ * Maps our command types and Homey capabilities to the Mercedes command names
+ * reported by /v1/vehicle/{vin}/capabilities/commands
+ */
+
+// Command type (MercedesAPI method / REST path) -> Mercedes command name
+const COMMAND_NAMES = {
+  lockVehicle: 'DOORS_LOCK',
+  unlockVehicle: 'DOORS_UNLOCK',
+  startEngine: 'ENGINE_START',
+  stopEngine: 'ENGINE_STOP',
+  startClimate: 'AUXHEAT_START',
+  stopClimate: 'AUXHEAT_STOP',
+  flashLights: 'SIGPOS_START',
+  soundHorn: 'SIGPOS_START',
+  'auxheat/start': 'AUXHEAT_START',
+  'auxheat/stop': 'AUXHEAT_STOP',
+  'charge/max-soc': 'BATTERY_MAX_SOC_CONFIGURE',
+  startPrecond: 'ZEV_PRECONDITIONING_START',
+  stopPrecond: 'ZEV_PRECONDITIONING_STOP',
+  configurePrecondDeparture: 'ZEV_PRECONDITION_CONFIGURE',
+  configureTemperature: 'TEMPERATURE_CONFIGURE',
+  configureSeatHeating: 'ZEV_PRECONDITION_CONFIGURE_SEATS',
+  closeWindows: 'WINDOWS_CLOSE',
+  openWindows: 'WINDOWS_OPEN',
+  openSunroof: 'SUNROOF_OPEN',
+  closeSunroof: 'SUNROOF_CLOSE',
+  tiltSunroof: 'SUNROOF_LIFT'
+};
+
+// Homey capability -> Mercedes command name the capability depends on
+const CAPABILITY_COMMANDS = {
+  'onoff.engine': 'ENGINE_START',
+  'onoff_remote_start': 'ENGINE_START',
+  'onoff.climate': 'AUXHEAT_START',
+  'onoff_auxheat': 'AUXHEAT_START',
+  'onoff_precond': 'ZEV_PRECONDITIONING_START',
+  'window_sunroof': 'SUNROOF_OPEN'
+};
+
+/**
+ * Parse the command capabilities response
+ * @param {Object} response - { commands: [{ commandName, isAvailable }] }
+ * @returns {Object|null} { COMMAND_NAME: boolean } or null if the response has no command list
+ */
+function parseCommandCapabilities(response) {
+  if (!response || !Array.isArray(response.commands)) {
+    return null;
+  }
+
+  const supported = {};
+  for (const command of response.commands) {
+    if (command && command.commandName) {
+      supported[command.commandName] = command.isAvailable !== false;
+    }
+  }
+
+  return supported;
+}
+
+/**
+ * Check if a Mercedes command is supported
+ * Without discovery data every command is assumed to be supported
+ * @param {Object|null} supported - Result of parseCommandCapabilities
+ * @param {string} commandName - Mercedes command name (e.g. 'SUNROOF_OPEN')
+ */
+function isCommandNameSupported(supported, commandName) {
+  if (!supported || !commandName) {
+    return true;
+  }
+
+  return supported[commandName] === true;
+}
+
+module.exports = {
+  COMMAND_NAMES,
+  CAPABILITY_COMMANDS,
+  parseCommandCapabilities,
+  isCommandNameSupported
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Command error taxonomy
+ * Maps the VehicleAPIError (code + message) of a FAILED AppTwin command status
+ * to a stable error code, so callers can tell a wrong PIN from an offline vehicle
+ */
+
+// Reason codes set as error.code on command errors
+const COMMAND_ERROR_CODES = [
+  'PIN_INVALID',
+  'VEHICLE_OFFLINE',
+  'PRECONDITION_NOT_MET',
+  'COMMAND_NOT_SUPPORTED',
+  'COMMAND_FAILED',
+  'COMMAND_TIMEOUT',
+  'SOCKET_NOT_OPEN'
+];
+
+// First matching rule wins, matched against "<code> <message>" of the VehicleAPIError
+const REASON_RULES = [
+  { code: 'PIN_INVALID', pattern: /\bpin\b|security.?code/i },
+  { code: 'VEHICLE_OFFLINE', pattern: /offline|not.?reachable|unreachable|no.?connection|not.?connected|sleep|signal/i },
+  { code: 'PRECONDITION_NOT_MET', pattern: /precondition|condition.?not|ignition|door.?open|not.?allowed.?while|state.?not/i },
+  { code: 'COMMAND_NOT_SUPPORTED', pattern: /not.?supported|unsupported|not.?available|not.?activated|not.?entitled|forbidden|capabilit/i }
+];
+
+/**
+ * Map a VehicleAPIError to a reason code
+ * @param {Object} vehicleError - { code, message } from vehicle-events.proto
+ * @returns {string} One of COMMAND_ERROR_CODES
+ */
+function getCommandErrorCode(vehicleError) {
+  if (!vehicleError) {
+    return 'COMMAND_FAILED';
+  }
+
+  const text = `${vehicleError.code || ''} ${vehicleError.message || ''}`;
+  const rule = REASON_RULES.find(entry => entry.pattern.test(text));
+
+  return rule ? rule.code : 'COMMAND_FAILED';
+}
+
+/**
+ * Create the error a FAILED command rejects with
+ * @param {Object} vehicleError - { code, message } from vehicle-events.proto (may be empty)
+ * @param {string} commandType - Command name (e.g. 'lockVehicle')
+ * @returns {Error} Error with code, commandType and the raw vehicleError attached
+ */
+function createCommandError(vehicleError, commandType) {
+  let message = 'Command failed';
+  if (vehicleError) {
+    if (vehicleError.message) {
+      message += `: ${vehicleError.message}`;
+    }
+    if (vehicleError.code) {
+      message += ` (${vehicleError.code})`;
+    }
+  }
+
+  const error = new Error(message);
+  error.code = getCommandErrorCode(vehicleError);
+  error.commandType = commandType;
+  error.vehicleError = vehicleError
+    ? { code: vehicleError.code || null, message: vehicleError.message || null }
+    : null;
+
+  return error;
+}
+
+module.exports = {
+  COMMAND_ERROR_CODES,
+  getCommandErrorCode,
+  createCommandError
+};
@@ -0,0 +1,160 @@
+'use strict';
+
+const EventEmitter = require('events');
+const Logger = require('./logger');
+
+/**
+ * Per-vehicle command queue
+ * Runs commands one at a time, merges a command into an identical last pending one and retries
+ * commands that could not be sent (socket not open) with exponential backoff.
+ * A timed out command may already have run on the vehicle and a command rejected by the
+ * vehicle (FAILED) would fail again, so neither is retried.
+ *
+ * Emits 'change' with getState() whenever the queue or current command changes.
+ */
+class CommandQueue extends EventEmitter {
+  // Error codes of commands that were never sent, so another attempt cannot run them twice
+  static TRANSIENT_ERRORS = ['SOCKET_NOT_OPEN'];
+
+  /**
+   * @param {Object} homey - Homey instance
+   * @param {string} vin - Vehicle VIN
+   * @param {Object} [options] - { maxAttempts, retryDelay }
+   * @param {Logger} [logger] - Logger, defaults to the app log
+   */
+  constructor(homey, vin, options = {}, logger = null) {
+    super();
+    this.homey = homey;
+    this.vin = vin;
+    this.logger = logger || new Logger(homey.app, { tag: 'QUEUE' });
+
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay = options.retryDelay || 2000; // doubled after every attempt
+
+    this.queue = []; // [{ key, type, run, promise, resolve, reject }]
+    this.current = null; // { key, type, attempt, startedAt, promise }
+    this.running = false;
+  }
+
+  /**
+   * Add a command to the queue
+   * @param {string} type - Command type (e.g. 'lock', 'startClimate')
+   * @param {Object} params - Command parameters, used to detect identical commands
+   * @param {Function} run - Sends the command once, returns a promise
+   * @returns {Promise} Resolves/rejects with the command result
+   */
+  enqueue(type, params, run) {
+    const key = `${type}:${JSON.stringify(params || {})}`;
+
+    // Identical to the last command that will run - share its result. A command with another
+    // command in between is sent again, so lock, unlock, lock ends locked
+    const last = this.queue[this.queue.length - 1];
+    if (last && last.key === key) {
+      this.logger.info(`${this.vin}: ${type} already queued, sharing result`);
+      return last.promise;
+    }
+
+    if (!last && this.current && this.current.key === key) {
+      this.logger.info(`${this.vin}: ${type} already running, sharing result`);
+      return this.current.promise;
+    }
+
+    const entry = { key, type, run };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    this.queue.push(entry);
+    this.logger.info(`${this.vin}: ${type} queued (depth ${this.queue.length})`);
+    this._emitChange();
+
+    this._processQueue();
+    return entry.promise;
+  }
+
+  /**
+   * Get queue depth and current command
+   * @returns {Object} { depth, current: { type, attempt, startedAt } | null, pending: [type] }
+   */
+  getState() {
+    return {
+      depth: this.queue.length,
+      current: this.current
+        ? { type: this.current.type, attempt: this.current.attempt, startedAt: this.current.startedAt }
+        : null,
+      pending: this.queue.map(entry => entry.type)
+    };
+  }
+
+  /**
+   * Reject all waiting commands (e.g. when the vehicle is removed)
+   */
+  clear(reason = 'Command queue cleared') {
+    const waiting = this.queue.splice(0);
+    for (const entry of waiting) {
+      entry.reject(new Error(reason));
+    }
+    this._emitChange();
+  }
+
+  /**
+   * Run queued commands one after another
+   */
+  async _processQueue() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const entry = this.queue.shift();
+        this.current = { key: entry.key, type: entry.type, attempt: 0, startedAt: Date.now(), promise: entry.promise };
+
+        try {
+          entry.resolve(await this._runWithRetry(entry));
+        } catch (error) {
+          entry.reject(error);
+        }
+
+        this.current = null;
+        this._emitChange();
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run a single command, retrying transient failures
+   */
+  async _runWithRetry(entry) {
+    for (let attempt = 1; ; attempt++) {
+      this.current.attempt = attempt;
+      this._emitChange();
+
+      try {
+        return await entry.run();
+      } catch (error) {
+        const transient = CommandQueue.TRANSIENT_ERRORS.includes(error.code);
+
+        if (!transient || attempt >= this.maxAttempts) {
+          this.logger.error(`${this.vin}: ${entry.type} failed after ${attempt} attempt(s): ${error.message}`);
+          throw error;
+        }
+
+        const delay = this.retryDelay * Math.pow(2, attempt - 1);
+        this.logger.warn(`${this.vin}: ${entry.type} attempt ${attempt} failed (${error.code}), retrying in ${delay / 1000}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  _emitChange() {
+    this.emit('change', this.getState());
+  }
+}
+
+module.exports = CommandQueue;
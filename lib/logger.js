@@ -0,0 +1,164 @@
+'use strict';
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const REDACTED = '[redacted]';
+
+// Object keys whose values are never logged
+const SECRET_KEYS = /^(access_?token|refresh_?token|id_?token|token|authorization|pin|password|code_?verifier|client_?secret)$/i;
+
+// Secrets inside strings: JWTs, bearer tokens and "key": "value" / key=value pairs (JSON, query strings)
+const SECRET_PATTERNS = [
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED],
+  [/(Bearer\s+)[\w.~+/=-]+/gi, `$1${REDACTED}`],
+  [/([?&]code=)[^&\s]+/g, `$1${REDACTED}`],
+  [/(["']?\b(?:access_token|refresh_token|id_token|pin|password|code_verifier)["']?\s*[:=]\s*["']?)[^"',&\s}]+/gi, `$1${REDACTED}`]
+];
+
+// Vehicle identification numbers (17 characters, no I, O or Q)
+const VIN_PATTERN = /\b[A-HJ-NPR-Z0-9]{17}\b/g;
+
+// Coordinates, also as part of a key (start_latitude, endLongitude)
+const LOCATION_KEYS = /(latitude|longitude)$|^(positionLat|positionLong|lat|lon|lng)$/i;
+const LOCATION_PATTERN = /(["']?\b(?:latitude|longitude|positionLat|positionLong)["']?\s*[:=]\s*["']?)-?\d+(?:\.\d+)?/gi;
+
+/**
+ * Logger
+ * Leveled logging with a subsystem tag ([WS], [API], [PARSER], [UPDATE], ...) on top of the
+ * log() and error() of a Homey app or device. Debug messages (frame dumps, decoded messages)
+ * are only written when the level is debug, which follows the debug_mode device setting.
+ *
+ * Every message is redacted: access and refresh tokens, PINs and passwords always, VINs and
+ * coordinates when enabled. Loggers created with child() share the level and redaction
+ * options of their parent, so a session configures all of its modules at once.
+ */
+class Logger {
+  /**
+   * @param {Object} output - Object with log() and error(), e.g. homey.app or a device
+   * @param {Object} options
+   * @param {string} [options.tag] - Subsystem tag prefixed to every message
+   * @param {Object} [options.config] - Shared { level, redactVins, redactLocation }
+   */
+  constructor(output, { tag = null, config = null } = {}) {
+    this.output = output;
+    this.tag = tag;
+    this.config = config || { level: 'info', redactVins: false, redactLocation: false };
+  }
+
+  /**
+   * Create a logger for a subsystem sharing this logger's configuration
+   * @param {string} tag - Subsystem tag
+   * @returns {Logger}
+   */
+  child(tag) {
+    return new Logger(this.output, { tag, config: this.config });
+  }
+
+  /**
+   * Update the level and redaction options (applies to all children)
+   * @param {Object} options - { debug, redactVins, redactLocation }
+   */
+  configure({ debug = false, redactVins = false, redactLocation = false } = {}) {
+    this.config.level = debug ? 'debug' : 'info';
+    this.config.redactVins = redactVins;
+    this.config.redactLocation = redactLocation;
+  }
+
+  /**
+   * Redact a value with this logger's options, for values that are serialized before logging
+   * @param {*} value
+   * @returns {*} Redacted copy
+   */
+  redact(value) {
+    return Logger.redact(value, this.config);
+  }
+
+  /**
+   * Whether debug messages are written (to skip building expensive debug output)
+   * @returns {boolean}
+   */
+  isDebug() {
+    return LEVELS[this.config.level] >= LEVELS.debug;
+  }
+
+  error(...args) {
+    this._write('error', args);
+  }
+
+  warn(...args) {
+    this._write('warn', args);
+  }
+
+  info(...args) {
+    this._write('info', args);
+  }
+
+  debug(...args) {
+    this._write('debug', args);
+  }
+
+  _write(level, args) {
+    if (LEVELS[level] > LEVELS[this.config.level]) {
+      return;
+    }
+
+    const prefix = [this.tag && `[${this.tag}]`, level === 'warn' && 'WARNING:'].filter(Boolean).join(' ');
+    const message = args.map(arg => Logger.redact(arg, this.config));
+    if (prefix) {
+      message.unshift(prefix);
+    }
+
+    if (level === 'error') {
+      this.output.error(...message);
+    } else {
+      this.output.log(...message);
+    }
+  }
+
+  /**
+   * Remove secrets (and optionally VINs and coordinates) from a log argument
+   * @param {*} value - String, error, object or array
+   * @param {Object} options - { redactVins, redactLocation }
+   * @returns {*} Redacted copy
+   */
+  static redact(value, options = {}) {
+    if (typeof value === 'string') {
+      let text = value;
+      for (const [pattern, replacement] of SECRET_PATTERNS) {
+        text = text.replace(pattern, replacement);
+      }
+      if (options.redactVins) {
+        text = text.replace(VIN_PATTERN, vin => `***${vin.slice(-4)}`);
+      }
+      if (options.redactLocation) {
+        text = text.replace(LOCATION_PATTERN, `$1${REDACTED}`);
+      }
+      return text;
+    }
+
+    if (value instanceof Error) {
+      return Logger.redact(value.message, options);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => Logger.redact(item, options));
+    }
+
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+      // Keys are redacted too: VEP updates are keyed by VIN
+      const copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        if (SECRET_KEYS.test(key) || (options.redactLocation && LOCATION_KEYS.test(key))) {
+          copy[key] = REDACTED;
+        } else {
+          copy[Logger.redact(key, options)] = Logger.redact(item, options);
+        }
+      }
+      return copy;
+    }
+
+    return value;
+  }
+}
+
+module.exports = Logger;
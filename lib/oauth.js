@@ -5,6 +5,7 @@ const crypto = require('crypto');
 const { CookieJar } = require('tough-cookie');
 const { wrapper } = require('axios-cookiejar-support');
 const { URL, URLSearchParams } = require('url');
+const Logger = require('./logger');
 
 /**
  * Mercedes-Benz OAuth2 Authentication Client
@@ -22,29 +23,81 @@ class MercedesOAuth {
     'Europe': {
       login: 'https://id.mercedes-benz.com',
       rest: 'https://bff.emea-prod.mobilesdk.mercedes-benz.com',
+      widget: 'https://widget.emea-prod.mobilesdk.mercedes-benz.com',
       websocket: 'wss://websocket.emea-prod.mobilesdk.mercedes-benz.com/v2/ws'
     },
     'North America': {
       login: 'https://id.mercedes-benz.com',
       rest: 'https://bff.amap-prod.mobilesdk.mercedes-benz.com',
+      widget: 'https://widget.amap-prod.mobilesdk.mercedes-benz.com',
       websocket: 'wss://websocket.amap-prod.mobilesdk.mercedes-benz.com/v2/ws'
     },
     'Asia-Pacific': {
       login: 'https://id.mercedes-benz.com',
       rest: 'https://bff.amap-prod.mobilesdk.mercedes-benz.com',
+      widget: 'https://widget.amap-prod.mobilesdk.mercedes-benz.com',
       websocket: 'wss://websocket.amap-prod.mobilesdk.mercedes-benz.com/v2/ws'
     },
     'China': {
       login: 'https://ciam-1.mercedes-benz.com.cn',
       rest: 'https://bff.cn-prod.mobilesdk.mercedes-benz.com',
+      widget: 'https://widget.cn-prod.mobilesdk.mercedes-benz.com',
       websocket: 'wss://websocket.cn-prod.mobilesdk.mercedes-benz.com/v2/ws'
     }
   };
 
-  constructor(homey, region = 'Europe', deviceGuid = null) {
+  // Endpoint override applied to every region (local testing, e.g. tools/mock-server.js)
+  static endpointOverride = null;
+
+  // Renew this long before the access token expires (seconds)
+  static REFRESH_AHEAD = 5 * 60;
+
+  // Retry delays after a failed scheduled refresh (ms, doubled per attempt)
+  static REFRESH_RETRY_DELAY = 60 * 1000;
+  static REFRESH_RETRY_MAX_DELAY = 15 * 60 * 1000;
+
+  // OAuth error codes of a refresh token that can never be used again
+  static REVOKED_ERRORS = ['invalid_grant', 'invalid_client', 'unauthorized_client'];
+
+  /**
+   * Point every region at other hosts, e.g. the local mock backend
+   * @param {string|Object|null} override - Base URL ('http://host:port'),
+   *   { login, rest, widget, websocket } or null to use the production hosts again
+   */
+  static setEndpointOverride(override) {
+    if (typeof override === 'string') {
+      const base = override.replace(/\/+$/, '');
+      override = {
+        login: base,
+        rest: base,
+        widget: base,
+        websocket: `${base.replace(/^http/, 'ws')}/v2/ws`
+      };
+    }
+
+    MercedesOAuth.endpointOverride = override || null;
+  }
+
+  /**
+   * Get the endpoints of a region (including any override)
+   * @param {string} region - Region name
+   * @returns {Object|undefined} { login, rest, widget, websocket }
+   */
+  static getEndpoints(region) {
+    const endpoints = MercedesOAuth.ENDPOINTS[region];
+
+    if (!endpoints || !MercedesOAuth.endpointOverride) {
+      return endpoints;
+    }
+
+    return { ...endpoints, ...MercedesOAuth.endpointOverride };
+  }
+
+  constructor(homey, region = 'Europe', deviceGuid = null, logger = null) {
     this.homey = homey;
+    this.logger = logger || new Logger(homey.app, { tag: 'OAUTH' });
     this.region = region;
-    this.endpoints = MercedesOAuth.ENDPOINTS[region];
+    this.endpoints = MercedesOAuth.getEndpoints(region);
 
     if (!this.endpoints) {
       throw new Error(`Invalid region: ${region}`);
@@ -54,6 +107,15 @@ class MercedesOAuth {
     this.codeVerifier = null;
     this.codeChallenge = null;
 
+    // Login interrupted by a one-time code request ({ email, resumeUrl })
+    this.pendingOtpLogin = null;
+
+    // Refresh shared by all concurrent callers, and the proactive refresh timer
+    this.refreshPromise = null;
+    this.refreshTimer = null;
+    this.refreshAttempts = 0;
+    this.onRefreshError = null;
+
     // Use provided deviceGuid or generate new one
     this.deviceGuid = deviceGuid || this._generateDeviceGuid();
 
@@ -61,8 +123,12 @@ class MercedesOAuth {
     const jar = new CookieJar();
 
     // Set the CIAM.DEVICE cookie for all requests to login domain
+    // (host-only on other login hosts, such as China or an endpoint override)
     const Cookie = require('tough-cookie').Cookie;
-    const ciamCookie = Cookie.parse(`CIAM.DEVICE=${this.deviceGuid}; Domain=.mercedes-benz.com; Path=/`);
+    const cookieDomain = new URL(this.endpoints.login).hostname.endsWith('.mercedes-benz.com')
+      ? ' Domain=.mercedes-benz.com;'
+      : '';
+    const ciamCookie = Cookie.parse(`CIAM.DEVICE=${this.deviceGuid};${cookieDomain} Path=/`);
     jar.setCookieSync(ciamCookie, this.endpoints.login);
 
     // Create axios instance with cookie support
@@ -76,7 +142,7 @@ class MercedesOAuth {
       }
     }));
 
-    this.homey.app.log(`OAuth initialized for region: ${region}, deviceGuid: ${this.deviceGuid}`);
+    this.logger.info(`OAuth initialized for region: ${region}, deviceGuid: ${this.deviceGuid}`);
   }
 
   /**
@@ -101,7 +167,7 @@ class MercedesOAuth {
     this.codeVerifier = codeVerifier;
     this.codeChallenge = codeChallenge;
 
-    this.homey.app.log('Generated PKCE parameters for OAuth2 flow');
+    this.logger.info('Generated PKCE parameters for OAuth2 flow');
   }
 
   /**
@@ -144,7 +210,7 @@ class MercedesOAuth {
 
       return code;
     } catch (error) {
-      this.homey.app.error('Failed to extract code from URL:', redirectUrl, error.message);
+      this.logger.error('Failed to extract code from URL:', redirectUrl, error.message);
       throw new Error('Authorization code not found in redirect URL');
     }
   }
@@ -187,11 +253,11 @@ class MercedesOAuth {
         throw new Error('Resume parameter not found in authorization response');
       }
 
-      this.homey.app.log('Authorization resume parameter obtained');
+      this.logger.info('Authorization resume parameter obtained');
       return resume;
 
     } catch (error) {
-      this.homey.app.error('Authorization request failed:', error.message);
+      this.logger.error('Authorization request failed:', error.message);
       throw new Error(`Authorization request failed: ${error.message}`);
     }
   }
@@ -213,10 +279,10 @@ class MercedesOAuth {
 
     try {
       await this.client.post(url, data, { headers });
-      this.homey.app.log('User agent info sent');
+      this.logger.info('User agent info sent');
     } catch (error) {
       // This can fail without breaking the flow
-      this.homey.app.error('User agent info submission failed (non-critical):', error.message);
+      this.logger.error('User agent info submission failed (non-critical):', error.message);
     }
   }
 
@@ -230,10 +296,10 @@ class MercedesOAuth {
 
     try {
       const response = await this.client.post(url, { username: email }, { headers });
-      this.homey.app.log('Username submitted successfully');
+      this.logger.info('Username submitted successfully');
       return response.data;
     } catch (error) {
-      this.homey.app.error('Username submission error:', {
+      this.logger.error('Username submission error:', {
         status: error.response?.status,
         statusText: error.response?.statusText,
         data: error.response?.data
@@ -266,10 +332,10 @@ class MercedesOAuth {
 
     try {
       const response = await this.client.post(url, data, { headers });
-      this.homey.app.log('Password submitted successfully');
+      this.logger.info('Password submitted successfully');
       return response.data;
     } catch (error) {
-      this.homey.app.error('Password submission error:', {
+      this.logger.error('Password submission error:', {
         status: error.response?.status,
         statusText: error.response?.statusText,
         data: error.response?.data
@@ -278,6 +344,61 @@ class MercedesOAuth {
     }
   }
 
+  /**
+   * Step 4a: Request a one-time code (if 2FA is enabled on the account)
+   * CIAM sends the code by e-mail/SMS to the address registered on the account
+   */
+  async _requestOtp(email) {
+    const headers = this._getMobileSafariHeaders();
+    const url = `${this.endpoints.login}/ciam/auth/login/otp/send`;
+
+    try {
+      await this.client.post(url, { username: email }, { headers });
+      this.logger.info('One-time code requested');
+    } catch (error) {
+      this.logger.error('One-time code request error:', {
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        data: error.response?.data
+      });
+      throw new Error(`One-time code request failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Step 4a: Submit one-time code and get pre-login token
+   */
+  async _submitOtp(email, otp) {
+    const rid = crypto.randomBytes(24).toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=/g, '');
+
+    const headers = this._getMobileSafariHeaders();
+
+    const data = {
+      username: email,
+      otp: String(otp).trim(),
+      rememberMe: false,
+      rid: rid
+    };
+
+    const url = `${this.endpoints.login}/ciam/auth/login/otp`;
+
+    try {
+      const response = await this.client.post(url, data, { headers });
+      this.logger.info('One-time code submitted successfully');
+      return response.data;
+    } catch (error) {
+      this.logger.error('One-time code submission error:', {
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        data: error.response?.data
+      });
+      throw new Error(`One-time code submission failed: ${error.message}`);
+    }
+  }
+
   /**
    * Step 4b: Submit legal consent (if required)
    * Matches HA: async def _submit_legal_consent(self, home_country: str, consent_country: str)
@@ -295,10 +416,10 @@ class MercedesOAuth {
 
     try {
       const response = await this.client.post(url, data, { headers });
-      this.homey.app.log('Legal consent submitted');
+      this.logger.info('Legal consent submitted');
       return response.data;
     } catch (error) {
-      this.homey.app.error('Legal consent error:', error.message);
+      this.logger.error('Legal consent error:', error.message);
       throw new Error(`Legal consent submission failed: ${error.message}`);
     }
   }
@@ -326,7 +447,7 @@ class MercedesOAuth {
 
       if (location && location.startsWith('rismycar://')) {
         const code = this._extractCodeFromRedirectUrl(location);
-        this.homey.app.log('Authorization code obtained');
+        this.logger.info('Authorization code obtained');
         return code;
       }
 
@@ -339,12 +460,12 @@ class MercedesOAuth {
         const match = error.message.match(/rismycar:\/\/[^\s'"]+/);
         if (match) {
           const code = this._extractCodeFromRedirectUrl(match[0]);
-          this.homey.app.log('Authorization code obtained from error redirect');
+          this.logger.info('Authorization code obtained from error redirect');
           return code;
         }
       }
 
-      this.homey.app.error('Resume authorization error:', error.message);
+      this.logger.error('Resume authorization error:', error.message);
       throw new Error(`Authorization resume failed: ${error.message}`);
     }
   }
@@ -379,11 +500,11 @@ class MercedesOAuth {
       const tokenInfo = response.data;
       tokenInfo.expires_at = Math.floor(Date.now() / 1000) + tokenInfo.expires_in;
 
-      this.homey.app.log('Token exchange successful');
+      this.logger.info('Token exchange successful');
       return tokenInfo;
 
     } catch (error) {
-      this.homey.app.error('Token exchange error:', {
+      this.logger.error('Token exchange error:', {
         status: error.response?.status,
         data: error.response?.data
       });
@@ -394,9 +515,14 @@ class MercedesOAuth {
   /**
    * Main login method - performs complete OAuth2 PKCE flow
    * Matches HA: async def async_login_new(self, email: str, password: str)
+   *
+   * If the account has 2FA enabled, a one-time code is requested and an error
+   * with code 'OTP_REQUIRED' is thrown. Call submitOtp() with the received code
+   * on the same instance to finish the login.
    */
   async login(email, password) {
-    this.homey.app.log(`Starting OAuth2 login flow for: ${email}`);
+    this.logger.info(`Starting OAuth2 login flow for: ${email}`);
+    this.pendingOtpLogin = null;
 
     try {
       // Step 1: Get authorization resume parameter
@@ -409,56 +535,108 @@ class MercedesOAuth {
       await this._submitUsername(email);
 
       // Step 4: Submit password and get pre-login data
-      let preLoginData = await this._submitPassword(email, password);
+      const preLoginData = await this._submitPassword(email, password);
 
-      // Check result and handle special cases
-      if (preLoginData.result !== 'RESUME2OIDCP') {
-        if (preLoginData.result === 'GOTO_LOGIN_OTP') {
-          throw new Error('Two-factor authentication (2FA) is not supported. Please disable 2FA on your Mercedes Me account.');
-        }
+      // Step 4a: Two-factor authentication - wait for submitOtp()
+      if (preLoginData.result === 'GOTO_LOGIN_OTP') {
+        this.logger.info('One-time code required');
+        await this._requestOtp(email);
+        this.pendingOtpLogin = { email, resumeUrl };
 
-        if (preLoginData.result === 'GOTO_LOGIN_LEGAL_TEXTS') {
-          this.homey.app.log('Legal consent required');
-          const homeCountry = preLoginData.homeCountry || '';
-          const consentCountry = preLoginData.consentCountry || '';
-          preLoginData = await this._submitLegalConsent(homeCountry, consentCountry);
-
-          if (preLoginData.result !== 'RESUME2OIDCP') {
-            throw new Error('Problem accepting legal terms during login');
-          }
-        } else {
-          throw new Error(`Unexpected login result: ${preLoginData.result}`);
-        }
+        const error = new Error('A one-time code is required to complete the login');
+        error.code = 'OTP_REQUIRED';
+        throw error;
       }
 
-      // Step 5: Resume authorization and get code
-      const authCode = await this._resumeAuthorization(resumeUrl, preLoginData.token);
+      return await this._completeLogin(resumeUrl, preLoginData);
 
-      // Step 6: Exchange code for tokens
-      const tokenInfo = await this._exchangeCodeForTokens(authCode);
+    } catch (error) {
+      this.logger.error('OAuth2 login failed:', error.message);
+      throw error;
+    }
+  }
 
-      // Save token
-      this.token = tokenInfo;
+  /**
+   * Check if a login is waiting for a one-time code
+   */
+  isOtpPending() {
+    return !!this.pendingOtpLogin;
+  }
 
-      // Clear PKCE parameters
-      this.codeVerifier = null;
-      this.codeChallenge = null;
+  /**
+   * Finish a login that was interrupted with OTP_REQUIRED
+   * @param {string} otp - One-time code received by the user
+   */
+  async submitOtp(otp) {
+    if (!this.pendingOtpLogin) {
+      throw new Error('No login is waiting for a one-time code. Please login again.');
+    }
+
+    const { email, resumeUrl } = this.pendingOtpLogin;
+
+    try {
+      const preLoginData = await this._submitOtp(email, otp);
+
+      // A wrong code keeps the login pending so the user can try again
+      if (preLoginData.result === 'GOTO_LOGIN_OTP') {
+        const error = new Error('The one-time code is invalid or has expired');
+        error.code = 'OTP_INVALID';
+        throw error;
+      }
 
-      this.homey.app.log('OAuth2 login successful');
+      const tokenInfo = await this._completeLogin(resumeUrl, preLoginData);
+      this.pendingOtpLogin = null;
       return tokenInfo;
 
     } catch (error) {
-      this.homey.app.error('OAuth2 login failed:', error.message);
+      this.logger.error('OAuth2 one-time code login failed:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Steps 4b-6: Handle legal consent, resume authorization and exchange the code for tokens
+   */
+  async _completeLogin(resumeUrl, preLoginData) {
+    // Check result and handle special cases
+    if (preLoginData.result !== 'RESUME2OIDCP') {
+      if (preLoginData.result === 'GOTO_LOGIN_LEGAL_TEXTS') {
+        this.logger.info('Legal consent required');
+        const homeCountry = preLoginData.homeCountry || '';
+        const consentCountry = preLoginData.consentCountry || '';
+        preLoginData = await this._submitLegalConsent(homeCountry, consentCountry);
+
+        if (preLoginData.result !== 'RESUME2OIDCP') {
+          throw new Error('Problem accepting legal terms during login');
+        }
+      } else {
+        throw new Error(`Unexpected login result: ${preLoginData.result}`);
+      }
+    }
+
+    // Step 5: Resume authorization and get code
+    const authCode = await this._resumeAuthorization(resumeUrl, preLoginData.token);
+
+    // Step 6: Exchange code for tokens
+    const tokenInfo = await this._exchangeCodeForTokens(authCode);
+
+    // Save token
+    this.token = tokenInfo;
+
+    // Clear PKCE parameters
+    this.codeVerifier = null;
+    this.codeChallenge = null;
+
+    this.logger.info('OAuth2 login successful');
+    return tokenInfo;
+  }
+
   /**
    * Refresh access token using refresh token
    * Matches HA: async def async_refresh_access_token(self, refresh_token: str)
    */
   async refreshAccessToken(refreshToken) {
-    this.homey.app.log('Refreshing access token');
+    this.logger.info('Refreshing access token');
 
     const headers = {
       'Content-Type': 'application/x-www-form-urlencoded',
@@ -487,16 +665,21 @@ class MercedesOAuth {
       tokenInfo.expires_at = Math.floor(Date.now() / 1000) + tokenInfo.expires_in;
 
       this.token = tokenInfo;
-      this.homey.app.log('Token refresh successful');
+      this.logger.info('Token refresh successful');
 
       return tokenInfo;
 
     } catch (error) {
-      this.homey.app.error('Token refresh error:', {
+      this.logger.error('Token refresh error:', {
         status: error.response?.status,
         data: error.response?.data
       });
-      throw new Error(`Token refresh failed: ${error.message}`);
+
+      // Only a rejected grant needs a new login; network errors, timeouts and 5xx recover by themselves
+      const revoked = MercedesOAuth.REVOKED_ERRORS.includes(error.response?.data?.error);
+      const refreshError = new Error(`Token refresh failed: ${error.message}`);
+      refreshError.code = revoked ? 'TOKEN_REVOKED' : 'TOKEN_REFRESH_FAILED';
+      throw refreshError;
     }
   }
 
@@ -508,29 +691,113 @@ class MercedesOAuth {
     this.onTokenUpdate = callback;
   }
 
+  /**
+   * Set callback for refresh failures of the proactive refresh timer
+   * @param {Function} callback - Callback function receiving the error (code TOKEN_REVOKED or TOKEN_REFRESH_FAILED)
+   */
+  setRefreshErrorCallback(callback) {
+    this.onRefreshError = callback;
+  }
+
   /**
    * Refresh the current token using the stored refresh token
-   * This is the internal method called by getAccessToken when token expires
+   * Concurrent callers (API requests, WebSocket reconnects, the refresh timer) share one request
    */
-  async refreshToken() {
+  refreshToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this._refreshToken()
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Refresh the token and notify the token update callback
+   */
+  async _refreshToken() {
     if (!this.token || !this.token.refresh_token) {
-      throw new Error('No refresh token available. Please login again.');
+      const error = new Error('No refresh token available. Please login again.');
+      error.code = 'TOKEN_REVOKED';
+      throw error;
     }
 
     const newToken = await this.refreshAccessToken(this.token.refresh_token);
+    this.refreshAttempts = 0;
+    if (this.refreshTimer) {
+      this.scheduleRefresh();
+    }
 
     // Notify callback if set (allows device to persist the new token)
     if (this.onTokenUpdate) {
       try {
         await this.onTokenUpdate(newToken);
       } catch (err) {
-        this.homey.app.error('Token update callback failed:', err.message);
+        this.logger.error('Token update callback failed:', err.message);
       }
     }
 
     return newToken;
   }
 
+  /**
+   * Renew the token REFRESH_AHEAD seconds before it expires, and again after every refresh
+   * Failed refreshes are retried with backoff, unless the refresh token was revoked
+   */
+  scheduleRefresh() {
+    this.stopRefreshSchedule();
+
+    if (!this.token || !this.token.refresh_token) {
+      return;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const delay = Math.max(0, ((this.token.expires_at || now) - MercedesOAuth.REFRESH_AHEAD - now) * 1000);
+    this._setRefreshTimer(delay);
+    this.logger.info(`Next token refresh in ${Math.round(delay / 1000)}s`);
+  }
+
+  /**
+   * Stop the proactive refresh timer
+   */
+  stopRefreshSchedule() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  _setRefreshTimer(delay) {
+    this.refreshTimer = setTimeout(async () => {
+      try {
+        await this.refreshToken();
+      } catch (error) {
+        if (error.code === 'TOKEN_REVOKED') {
+          this.logger.error('Refresh token revoked, a new login is required');
+          this.stopRefreshSchedule();
+        } else {
+          this.refreshAttempts++;
+          const retry = Math.min(
+            MercedesOAuth.REFRESH_RETRY_DELAY * Math.pow(2, this.refreshAttempts - 1),
+            MercedesOAuth.REFRESH_RETRY_MAX_DELAY
+          );
+          this.logger.error(`Scheduled token refresh failed (${error.message}), retrying in ${retry / 1000}s`);
+          this._setRefreshTimer(retry);
+        }
+
+        if (this.onRefreshError) {
+          try {
+            await this.onRefreshError(error);
+          } catch (err) {
+            this.logger.error('Token refresh error callback failed:', err.message);
+          }
+        }
+      }
+    }, delay);
+  }
+
   /**
    * Get access token (with automatic refresh if expired)
    */
@@ -541,7 +808,7 @@ class MercedesOAuth {
 
     // Check if token is expired
     if (MercedesOAuth.isTokenExpired(this.token)) {
-      this.homey.app.log('Access token expired, refreshing...');
+      this.logger.info('Access token expired, refreshing...');
       await this.refreshToken();
     }
 
@@ -595,14 +862,92 @@ class MercedesOAuth {
       const masterdata = response.data || {};
       const vehicles = masterdata.assignedVehicles || [];
 
-      this.homey.app.log(`Found ${vehicles.length} vehicle(s)`);
+      this.logger.info(`Found ${vehicles.length} vehicle(s)`);
       return vehicles;
 
     } catch (error) {
-      this.homey.app.error('Failed to fetch vehicles:', error.message);
+      this.logger.error('Failed to fetch vehicles:', error.message);
       throw new Error(`Failed to retrieve vehicles: ${error.message}`);
     }
   }
+
+  /**
+   * Get all regions served by the same login host as the given region
+   * A token issued by one CIAM host is valid for every region behind it
+   * @param {string} region - Region name
+   * @returns {string[]} Region names (including the given region)
+   */
+  static getRegionsSharingLogin(region) {
+    const endpoints = MercedesOAuth.getEndpoints(region);
+    if (!endpoints) {
+      return [];
+    }
+
+    return Object.keys(MercedesOAuth.ENDPOINTS)
+      .filter(name => MercedesOAuth.getEndpoints(name).login === endpoints.login);
+  }
+
+  /**
+   * Switch REST/WebSocket endpoints to another region without logging in again
+   * @param {string} region - Region name (must share the current login host)
+   */
+  switchRegion(region) {
+    const endpoints = MercedesOAuth.getEndpoints(region);
+
+    if (!endpoints) {
+      throw new Error(`Invalid region: ${region}`);
+    }
+
+    if (endpoints.login !== this.endpoints.login) {
+      throw new Error(`Region ${region} uses a different login host than ${this.region}`);
+    }
+
+    this.region = region;
+    this.endpoints = endpoints;
+    this.logger.info(`OAuth switched to region: ${region}`);
+  }
+
+  /**
+   * Get vehicles list, probing the other regions if the current one has none
+   * On success the OAuth instance is left on the region where vehicles were found
+   * @returns {Promise<Array>} Assigned vehicles (empty if no region has any)
+   */
+  async getVehiclesWithRegionDetection() {
+    const initialRegion = this.region;
+
+    let vehicles = await this.getVehicles();
+    if (vehicles.length > 0) {
+      return vehicles;
+    }
+
+    const candidates = MercedesOAuth.getRegionsSharingLogin(initialRegion)
+      .filter(region => region !== initialRegion);
+
+    for (const region of candidates) {
+      this.logger.info(`No vehicles in ${this.region}, probing ${region}...`);
+      this.switchRegion(region);
+
+      try {
+        vehicles = await this.getVehicles();
+      } catch (error) {
+        // Rate limiting applies to the whole account - stop probing
+        if (error.message && error.message.includes('418')) {
+          this.switchRegion(initialRegion);
+          throw error;
+        }
+        this.logger.error(`Vehicle lookup in ${region} failed:`, error.message);
+        continue;
+      }
+
+      if (vehicles.length > 0) {
+        this.logger.info(`Detected region: ${region}`);
+        return vehicles;
+      }
+    }
+
+    this.switchRegion(initialRegion);
+    return [];
+  }
 }
 
 module.exports = MercedesOAuth;
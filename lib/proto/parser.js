@@ -2,14 +2,21 @@
 
 const protobuf = require('protobufjs');
 const path = require('path');
+const { normalizeValue, getMetricUnit } = require('../units');
+const Logger = require('../logger');
 
 /**
  * Mercedes Protocol Buffer Parser
  * Parses binary protobuf responses from Mercedes widget API
  */
 class ProtoParser {
-  constructor(homey) {
+  /**
+   * @param {Object} homey - Homey instance
+   * @param {Logger} [logger] - Logger, defaults to the app log
+   */
+  constructor(homey, logger = null) {
     this.homey = homey;
+    this.logger = logger || new Logger(homey.app, { tag: 'PARSER' });
     this.root = null;
     this.commandRoot = null;  // Separate root for commands
     this.VEPUpdate = null;
@@ -32,7 +39,7 @@ class ProtoParser {
     try {
       // Load vehicle-events.proto for parsing incoming WebSocket messages
       const eventsProtoPath = path.join(__dirname, 'vehicle-events.proto');
-      this.homey.app.log('Loading protobuf schema from:', eventsProtoPath);
+      this.logger.debug('Loading protobuf schema from:', eventsProtoPath);
       this.root = await protobuf.load(eventsProtoPath);
 
       // Get message types for receiving data
@@ -43,7 +50,7 @@ class ProtoParser {
 
       // Load client.proto for creating command messages
       const clientProtoPath = path.join(__dirname, 'client.proto');
-      this.homey.app.log('Loading command protobuf schema from:', clientProtoPath);
+      this.logger.debug('Loading command protobuf schema from:', clientProtoPath);
       this.commandRoot = await protobuf.load(clientProtoPath);
 
       // Get message types for sending commands
@@ -51,10 +58,10 @@ class ProtoParser {
       this.CommandRequest = this.commandRoot.lookupType('proto.CommandRequest');
 
       this.initialized = true;
-      this.homey.app.log('Protobuf parser initialized successfully (events + commands)');
+      this.logger.info('Protobuf parser initialized successfully (events + commands)');
     } catch (error) {
-      this.homey.app.error('Failed to initialize protobuf parser:', error.message);
-      this.homey.app.error('Error stack:', error.stack);
+      this.logger.error('Failed to initialize protobuf parser:', error.message);
+      this.logger.error('Error stack:', error.stack);
       throw error;
     }
   }
@@ -86,20 +93,21 @@ class ProtoParser {
 
       return object;
     } catch (error) {
-      this.homey.app.error('Failed to parse protobuf data:', error.message);
-      this.homey.app.error('Error stack:', error.stack);
+      this.logger.error('Failed to parse protobuf data:', error.message);
+      this.logger.error('Error stack:', error.stack);
       throw error;
     }
   }
 
   /**
    * Extract vehicle data from VEPUpdate message and convert to simple key-value format
+   * Numeric values are converted from their display unit to metric (km, km/h, bar, °C, l/100km)
    * @param {Object} vepUpdate - Parsed VEPUpdate message
-   * @returns {Object} Vehicle data in simple format
+   * @returns {Object} Vehicle data in simple format, with attributeStatus { key: { status, timestamp, changed } }
    */
   extractVehicleData(vepUpdate) {
     if (!vepUpdate || !vepUpdate.attributes) {
-      this.homey.app.error('Invalid VEPUpdate message: no attributes found');
+      this.logger.error('Invalid VEPUpdate message: no attributes found');
       return {};
     }
 
@@ -109,24 +117,36 @@ class ProtoParser {
       full_update: vepUpdate.fullUpdate  // camelCase!
     };
 
+    // Per-attribute metadata: status (0 = valid), measurement time and changed flag
+    const attributeStatus = {};
+
     // Extract all attributes from the map
     // Note: protobufjs converts snake_case to camelCase (int_value -> intValue)
     for (const [key, attribute] of Object.entries(vepUpdate.attributes)) {
+      attributeStatus[key] = {
+        status: attribute.status || 0,
+        timestamp: attribute.timestampInMs || (attribute.timestamp ? attribute.timestamp * 1000 : null),
+        changed: attribute.changed === true
+      };
+
       // Get the actual value based on the attribute_type oneof field
       let value = null;
-      let unit = null;
 
-      // Special handling for tire pressure - convert kPa to bar
-      // Mercedes returns tire pressure in kPa (e.g., 340 kPa)
+      // Reported unit from the display_unit oneof (e.g. 'MILES', 'PSI'), values are converted to metric
+      let unit = attribute.displayUnit ? attribute[attribute.displayUnit] : null;
+      if (!unit || String(unit).startsWith('UNSPECIFIED')) {
+        unit = null;
+      }
+
+      // Tire pressure comes as display value (e.g. "340" kPa or "36" psi)
       // Custom tire_pressure_bar capability uses bar units
-      // Conversion: 1 bar = 100 kPa, so 340 kPa = 3.4 bar
       if (key.includes('tirepressure')) {
         if (attribute.displayValue !== undefined && attribute.displayValue !== null && attribute.displayValue !== "") {
-          // Parse the display value which is in kPa (e.g., "340" kPa)
           const match = attribute.displayValue.match(/[\d.]+/);
           if (match) {
-            const kPa = parseFloat(match[0]);
-            value = kPa / 100; // Convert kPa to bar (340 kPa = 3.4 bar)
+            // Older responses carry no pressure unit, those values are kPa
+            unit = unit || 'KPA';
+            value = parseFloat(match[0]);
           } else {
             value = attribute.displayValue;
           }
@@ -146,26 +166,14 @@ class ProtoParser {
         }
       }
 
-      // Extract unit information if available
-      if (attribute.pressureUnit !== undefined) {
-        unit = attribute.pressureUnit;
-      } else if (attribute.temperatureUnit !== undefined) {
-        unit = attribute.temperatureUnit;
-      }
-
-      // Log tire pressure values for debugging
-      if (key.includes('tirepressure')) {
-        this.homey.app.log(`[PARSER] ${key}:`);
-        this.homey.app.log(`  - intValue: ${attribute.intValue}`);
-        this.homey.app.log(`  - doubleValue: ${attribute.doubleValue}`);
-        this.homey.app.log(`  - displayValue: "${attribute.displayValue}"`);
-        this.homey.app.log(`  - pressureUnit: ${attribute.pressureUnit}`);
-        this.homey.app.log(`  - selected value: ${value}`);
+      const metricValue = normalizeValue(value, unit);
+      if (unit && metricValue !== value) {
+        this.logger.debug(`${key}: ${value} ${unit} -> ${metricValue} ${getMetricUnit(unit)}`);
       }
 
       // Store the value with the attribute key
-      if (value !== null && value !== undefined) {
-        vehicleData[key] = value;
+      if (metricValue !== null && metricValue !== undefined) {
+        vehicleData[key] = metricValue;
       }
 
       // Also store display value separately if available
@@ -173,13 +181,15 @@ class ProtoParser {
         vehicleData[`${key}_display`] = attribute.displayValue;
       }
 
-      // Store unit if available
+      // Store the unit of the stored value if available
       if (unit) {
-        vehicleData[`${key}_unit`] = unit;
+        vehicleData[`${key}_unit`] = getMetricUnit(unit);
       }
     }
 
-    this.homey.app.log(`Extracted ${Object.keys(vehicleData).length} vehicle attributes`);
+    vehicleData.attributeStatus = attributeStatus;
+
+    this.logger.debug(`Extracted ${Object.keys(vehicleData).length} vehicle attributes`);
     return vehicleData;
   }
 
@@ -210,24 +220,26 @@ class ProtoParser {
 
       // Determine which oneof field is set
       // Log all keys in the object for debugging
-      this.homey.app.log('[PARSER] Decoded message keys:', Object.keys(object).join(', '));
-
-      // DEBUG: Log full decoded structure
-      try {
-        const debugJson = JSON.stringify(object, null, 2);
-        if (debugJson.length < 5000) {
-          this.homey.app.log('[PARSER] Full decoded message:', debugJson);
-        } else {
-          this.homey.app.log('[PARSER] Full decoded message (truncated):', debugJson.substring(0, 5000) + '...');
+      this.logger.debug('Decoded message keys:', Object.keys(object).join(', '));
+
+      // Full decoded structure (debug mode only, redacted before it is serialized)
+      if (this.logger.isDebug()) {
+        try {
+          const debugJson = JSON.stringify(this.logger.redact(object), null, 2);
+          if (debugJson.length < 5000) {
+            this.logger.debug('Full decoded message:', debugJson);
+          } else {
+            this.logger.debug('Full decoded message (truncated):', debugJson.substring(0, 5000) + '...');
+          }
+        } catch (e) {
+          this.logger.debug('Could not stringify message:', e.message);
         }
-      } catch (e) {
-        this.homey.app.log('[PARSER] Could not stringify message:', e.message);
       }
 
       // Check for empty messages (no data fields)
       const hasData = Object.keys(object).filter(k => k !== 'msg').length > 0;
       if (!hasData) {
-        this.homey.app.log('[PARSER] WARNING: Message has no data fields!');
+        this.logger.warn('Message has no data fields!');
       }
 
       // Check each possible field in the oneof msg
@@ -249,7 +261,7 @@ class ProtoParser {
 
       return object;
     } catch (error) {
-      this.homey.app.error('Failed to parse PushMessage:', error.message);
+      this.logger.error('Failed to parse PushMessage:', error.message);
       throw error;
     }
   }
@@ -279,11 +291,11 @@ class ProtoParser {
         oneofs: true
       });
 
-      this.homey.app.log('[PARSER] VEPUpdatesByVIN parsed - sequence:', object.sequenceNumber);
+      this.logger.debug('VEPUpdatesByVIN parsed - sequence:', object.sequenceNumber);
 
       return object;
     } catch (error) {
-      this.homey.app.error('Failed to parse VEPUpdatesByVIN:', error.message);
+      this.logger.error('Failed to parse VEPUpdatesByVIN:', error.message);
       throw error;
     }
   }
@@ -307,7 +319,7 @@ class ProtoParser {
 
       return Buffer.from(this.ClientMessage.encode(ackMessage).finish());
     } catch (error) {
-      this.homey.app.error('Failed to create ACK message:', error.message);
+      this.logger.error('Failed to create ACK message:', error.message);
       throw error;
     }
   }
@@ -329,7 +341,7 @@ class ProtoParser {
 
       return Buffer.from(this.ClientMessage.encode(ackMessage).finish());
     } catch (error) {
-      this.homey.app.error('Failed to create AppTwin ACK:', error.message);
+      this.logger.error('Failed to create AppTwin ACK:', error.message);
       throw error;
     }
   }
@@ -351,7 +363,7 @@ class ProtoParser {
 
       return Buffer.from(this.ClientMessage.encode(ackMessage).finish());
     } catch (error) {
-      this.homey.app.error('Failed to create service status ACK:', error.message);
+      this.logger.error('Failed to create service status ACK:', error.message);
       throw error;
     }
   }
@@ -373,7 +385,7 @@ class ProtoParser {
 
       return Buffer.from(this.ClientMessage.encode(ackMessage).finish());
     } catch (error) {
-      this.homey.app.error('Failed to create user data ACK:', error.message);
+      this.logger.error('Failed to create user data ACK:', error.message);
       throw error;
     }
   }
@@ -413,13 +425,13 @@ class ProtoParser {
         }
       });
 
-      this.homey.app.log('[PARSER] Created command message:', JSON.stringify(commandData), 'requestId:', requestId);
+      this.logger.debug('Created command message:', JSON.stringify(this.logger.redact(commandData)), 'requestId:', requestId);
 
       const buffer = Buffer.from(this.CommandClientMessage.encode(message).finish());
       return { buffer, requestId };
     } catch (error) {
-      this.homey.app.error('Failed to create command message:', error.message);
-      this.homey.app.error('Error stack:', error.stack);
+      this.logger.error('Failed to create command message:', error.message);
+      this.logger.error('Error stack:', error.stack);
       throw error;
     }
   }
@@ -0,0 +1,50 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Frame Recorder
+ * Dumps raw WebSocket frames and widget vehicleattributes responses to a directory,
+ * so they can be replayed offline with tools/replay.js
+ *
+ * Layout: <directory>/000001-ws.bin, 000002-attributes.bin, ... plus index.jsonl
+ * with one { file, kind, vin, receivedAt } line per frame
+ */
+class FrameRecorder {
+  constructor(homey, directory) {
+    this.homey = homey;
+    this.directory = directory;
+    this.sequence = 0;
+
+    // Writes are chained so index.jsonl keeps frame order
+    this.writeChain = fs.promises.mkdir(directory, { recursive: true });
+
+    this.homey.app.log(`[RECORDER] Recording frames to ${directory}`);
+  }
+
+  /**
+   * Record a raw frame
+   * @param {string} kind - 'ws' (WebSocket PushMessage) or 'attributes' (VEPUpdate from the widget API)
+   * @param {Buffer} buffer - Raw frame
+   * @param {Object} meta - Optional { vin }
+   */
+  record(kind, buffer, meta = {}) {
+    this.sequence++;
+    const file = `${String(this.sequence).padStart(6, '0')}-${kind}.bin`;
+    const entry = { file, kind, vin: meta.vin || null, receivedAt: Date.now() };
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.writeFile(path.join(this.directory, file), buffer);
+        await fs.promises.appendFile(path.join(this.directory, 'index.jsonl'), `${JSON.stringify(entry)}\n`);
+      })
+      .catch(error => {
+        this.homey.app.error(`[RECORDER] Failed to record ${file}:`, error.message);
+      });
+
+    return this.writeChain;
+  }
+}
+
+module.exports = FrameRecorder;
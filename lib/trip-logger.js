@@ -0,0 +1,169 @@
+'use strict';
+
+const { readValue } = require('./attribute-mappings');
+const Logger = require('./logger');
+
+// Attributes that tell whether the vehicle is being driven
+const DRIVING_KEYS = ['ignitionstate', 'enginestate', 'engineState'];
+
+// ignitionstate values with the ignition switched on (0: lock, 1: radio, 2: ignition, 4: start)
+const IGNITION_ON = ['2', '4'];
+
+/**
+ * Trip logger
+ * Detects trip start and end from ignition and engine state transitions in the vehicle
+ * state model and records each finished trip from the "since start" attributes
+ * (distancestart, driventimestart, averagespeedstart, ecoscores, distanceelectricalstart).
+ *
+ * The running trip and a rolling history are kept in app storage (homey.settings) per VIN,
+ * so a trip survives app restarts. Values are metric: km, minutes, km/h.
+ */
+class TripLogger {
+  // Number of finished trips kept per vehicle
+  static HISTORY_SIZE = 50;
+
+  /**
+   * @param {Object} homey - Homey instance
+   * @param {string} vin - Vehicle VIN
+   * @param {Logger} [logger] - Logger, defaults to the app log
+   */
+  constructor(homey, vin, logger = null) {
+    this.homey = homey;
+    this.vin = vin;
+    this.logger = logger || new Logger(homey.app, { tag: 'TRIP' });
+    this.settingsKey = `trips_${vin}`;
+
+    const stored = this.homey.settings.get(this.settingsKey) || {};
+    this.current = stored.current || null; // { start, startLatitude, startLongitude, startOdometer }
+    this.history = stored.history || []; // newest first
+  }
+
+  /**
+   * Process an update of the vehicle state
+   * @param {Object} data - Vehicle state (VehicleState.toData)
+   * @param {Set} changes - Attribute keys changed by the update (VehicleState.apply)
+   * @param {Object} position - { latitude, longitude } of the vehicle, values may be null
+   * @returns {Object|null} The trip that was finished by this update
+   */
+  update(data, changes, position = {}) {
+    if (!DRIVING_KEYS.some(key => changes.has(key))) {
+      return null;
+    }
+
+    const driving = TripLogger.isDriving(data);
+    const timestamp = data.timestamp || Date.now();
+
+    if (driving && !this.current) {
+      this.current = {
+        start: timestamp,
+        startLatitude: coordinate(position.latitude),
+        startLongitude: coordinate(position.longitude),
+        startOdometer: readValue('odometer', data)
+      };
+      this.logger.info('Trip started');
+      this._save();
+      return null;
+    }
+
+    if (driving || !this.current) {
+      return null;
+    }
+
+    const trip = this._finishTrip(data, timestamp, position);
+    this.current = null;
+
+    if (trip.distance <= 0) {
+      this.logger.info('Ignition switched off without driving, trip discarded');
+      this._save();
+      return null;
+    }
+
+    this.history = [trip, ...this.history].slice(0, TripLogger.HISTORY_SIZE);
+    this._save();
+    this.logger.info(`Trip finished, ${trip.distance} km in ${trip.duration} min`);
+
+    return trip;
+  }
+
+  /**
+   * Get the finished trips, newest first
+   * @returns {Array}
+   */
+  getHistory() {
+    return this.history;
+  }
+
+  /**
+   * Remove the running trip and the history (device deleted)
+   */
+  clear() {
+    this.current = null;
+    this.history = [];
+    this.homey.settings.unset(this.settingsKey);
+  }
+
+  /**
+   * Check whether the vehicle is being driven
+   * @param {Object} data - Vehicle state
+   * @returns {boolean}
+   */
+  static isDriving(data) {
+    const engine = data.enginestate !== undefined ? data.enginestate : data.engineState;
+    return IGNITION_ON.includes(String(data.ignitionstate)) || engine === true || engine === 'RUNNING';
+  }
+
+  /**
+   * Build the trip record from the "since start" attributes at the end of the trip
+   */
+  _finishTrip(data, end, position) {
+    const { start, startLatitude, startLongitude, startOdometer } = this.current;
+
+    const odometer = readValue('odometer', data);
+    let distance = readValue('distance_start', data);
+    if (distance === null && odometer !== null && startOdometer !== null) {
+      distance = odometer - startOdometer;
+    }
+    distance = round(distance || 0, 1);
+
+    let duration = readValue('driven_time_start', data);
+    if (duration === null) {
+      duration = Math.round((end - start) / 60000);
+    }
+    const averageSpeed = readValue('average_speed', data) ||
+      (duration > 0 ? distance / (duration / 60) : 0);
+    const electricDistance = readValue('distance_electrical', data);
+
+    return {
+      start,
+      end,
+      distance,
+      duration,
+      averageSpeed: round(averageSpeed, 1),
+      ecoscoreAccel: readValue('ecoscore_accel', data),
+      ecoscoreConst: readValue('ecoscore_const', data),
+      ecoscoreFreewhl: readValue('ecoscore_freewhl', data),
+      electricShare: electricDistance !== null && distance > 0
+        ? Math.min(100, Math.round(electricDistance / distance * 100))
+        : null,
+      startLatitude,
+      startLongitude,
+      endLatitude: coordinate(position.latitude),
+      endLongitude: coordinate(position.longitude)
+    };
+  }
+
+  _save() {
+    this.homey.settings.set(this.settingsKey, { current: this.current, history: this.history });
+  }
+}
+
+function coordinate(value) {
+  return typeof value === 'number' ? value : null;
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = TripLogger;
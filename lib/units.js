@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * Unit conversion
+ * The vehicle reports attribute values in the unit of its display_unit oneof (km or miles,
+ * kPa or psi, ...). normalizeValue() converts them to metric: km, km/h, bar, °C, l/100km,
+ * kg/100km and kWh/100km. Capabilities store metric values unless the owner picked other
+ * display units in the device settings (toDisplay / fromDisplay).
+ */
+
+const KM_PER_MILE = 1.609344;
+const BAR_PER_PSI = 0.0689476;
+const MPG_UK_FACTOR = 282.481; // mpg (UK) * l/100km
+const MPG_US_FACTOR = 235.215; // mpg (US) * l/100km
+const KWH_PER_US_GALLON = 33.705; // MPGe definition
+
+// Reciprocal consumption units (distance per amount); 0 means no consumption data yet
+const reciprocal = factor => value => (value > 0 ? factor / value : 0);
+
+// Reported display unit (VehicleAttributeStatus enum name) -> conversion to metric
+const NORMALIZE = {
+  // DistanceUnit
+  KILOMETERS: value => value,
+  MILES: value => value * KM_PER_MILE,
+
+  // SpeedUnit / SpeedDistanceUnit
+  KM_PER_HOUR: value => value,
+  M_PER_HOUR: value => value * KM_PER_MILE,
+  KM_PER_H: value => value,
+  M_PER_H: value => value * KM_PER_MILE,
+
+  // TemperatureUnit
+  CELSIUS: value => value,
+  FAHRENHEIT: value => (value - 32) * 5 / 9,
+
+  // PressureUnit
+  KPA: value => value / 100,
+  BAR: value => value,
+  PSI: value => value * BAR_PER_PSI,
+
+  // CombustionConsumptionUnit -> l/100km
+  LITER_PER_100KM: value => value,
+  KM_PER_LITER: reciprocal(100),
+  MPG_UK: reciprocal(MPG_UK_FACTOR),
+  MPG_US: reciprocal(MPG_US_FACTOR),
+
+  // GasConsumptionUnit -> kg/100km
+  KG_PER_100KM: value => value,
+  KM_PER_KG: reciprocal(100),
+  M_PER_KG: reciprocal(100 / KM_PER_MILE),
+
+  // ElectricityConsumptionUnit -> kWh/100km
+  KWH_PER_100KM: value => value,
+  KM_PER_KWH: reciprocal(100),
+  KWH_PER_100MI: value => value / KM_PER_MILE,
+  M_PER_KWH: reciprocal(100 / KM_PER_MILE),
+  MPGE: reciprocal(KWH_PER_US_GALLON * 100 / KM_PER_MILE)
+};
+
+// Metric unit the values are normalized to, by reported unit
+const METRIC_UNITS = {
+  KILOMETERS: 'KILOMETERS',
+  MILES: 'KILOMETERS',
+  KM_PER_HOUR: 'KM_PER_HOUR',
+  M_PER_HOUR: 'KM_PER_HOUR',
+  KM_PER_H: 'KM_PER_HOUR',
+  M_PER_H: 'KM_PER_HOUR',
+  CELSIUS: 'CELSIUS',
+  FAHRENHEIT: 'CELSIUS',
+  KPA: 'BAR',
+  BAR: 'BAR',
+  PSI: 'BAR',
+  LITER_PER_100KM: 'LITER_PER_100KM',
+  KM_PER_LITER: 'LITER_PER_100KM',
+  MPG_UK: 'LITER_PER_100KM',
+  MPG_US: 'LITER_PER_100KM',
+  KG_PER_100KM: 'KG_PER_100KM',
+  KM_PER_KG: 'KG_PER_100KM',
+  M_PER_KG: 'KG_PER_100KM',
+  KWH_PER_100KM: 'KWH_PER_100KM',
+  KM_PER_KWH: 'KWH_PER_100KM',
+  KWH_PER_100MI: 'KWH_PER_100KM',
+  M_PER_KWH: 'KWH_PER_100KM',
+  MPGE: 'KWH_PER_100KM'
+};
+
+/**
+ * Convert a reported value to metric
+ * @param {number} value - Value in the reported unit
+ * @param {string} unit - Reported display unit (e.g. 'MILES'), unknown units are left as is
+ * @returns {number} Metric value
+ */
+function normalizeValue(value, unit) {
+  const convert = NORMALIZE[unit];
+  if (!convert || typeof value !== 'number' || Number.isNaN(value)) {
+    return value;
+  }
+  return convert(value);
+}
+
+/**
+ * Metric unit of a reported unit
+ * @param {string} unit - Reported display unit
+ * @returns {string} Metric unit, or the reported unit when it needs no conversion (PERCENT, T24H, ...)
+ */
+function getMetricUnit(unit) {
+  return METRIC_UNITS[unit] || unit;
+}
+
+/**
+ * Display units per quantity, keyed by device setting value
+ * Metric (the first entry) is what capabilities store without a unit setting
+ * min/max/decimals override the capability options where the metric range would not fit
+ */
+const DISPLAY_UNITS = {
+  distance: {
+    km: { units: 'km', toDisplay: value => value, fromDisplay: value => value },
+    mi: { units: 'mi', toDisplay: value => value / KM_PER_MILE, fromDisplay: value => value * KM_PER_MILE }
+  },
+  speed: {
+    km: { units: 'km/h', toDisplay: value => value, fromDisplay: value => value },
+    mi: { units: 'mph', toDisplay: value => value / KM_PER_MILE, fromDisplay: value => value * KM_PER_MILE }
+  },
+  pressure: {
+    bar: { units: 'bar', decimals: 2, min: 0, max: 5, toDisplay: value => value, fromDisplay: value => value },
+    psi: { units: 'psi', decimals: 1, min: 0, max: 75, toDisplay: value => value / BAR_PER_PSI, fromDisplay: value => value * BAR_PER_PSI },
+    kpa: { units: 'kPa', decimals: 0, min: 0, max: 500, toDisplay: value => value * 100, fromDisplay: value => value / 100 }
+  },
+  temperature: {
+    celsius: { units: '°C', min: -40, max: 80, toDisplay: value => value, fromDisplay: value => value },
+    fahrenheit: { units: '°F', min: -40, max: 176, toDisplay: value => value * 9 / 5 + 32, fromDisplay: value => (value - 32) * 5 / 9 }
+  },
+  consumption: {
+    l_100km: { units: 'l/100km', toDisplay: value => value, fromDisplay: value => value },
+    mpg_uk: { units: 'mpg', toDisplay: reciprocal(MPG_UK_FACTOR), fromDisplay: reciprocal(MPG_UK_FACTOR) },
+    mpg_us: { units: 'mpg', toDisplay: reciprocal(MPG_US_FACTOR), fromDisplay: reciprocal(MPG_US_FACTOR) }
+  }
+};
+
+// Device setting choosing the display unit of each quantity
+const UNIT_SETTINGS = {
+  distance: 'distance_unit',
+  speed: 'distance_unit',
+  pressure: 'pressure_unit',
+  temperature: 'temperature_unit',
+  consumption: 'consumption_unit'
+};
+
+/**
+ * Get the display unit of a quantity for the given device settings
+ * @param {string} quantity - 'distance', 'speed', 'pressure', 'temperature' or 'consumption'
+ * @param {Object} settings - Device settings
+ * @returns {Object} Entry of DISPLAY_UNITS
+ */
+function getDisplayUnit(quantity, settings = {}) {
+  const units = DISPLAY_UNITS[quantity];
+  return units[settings[UNIT_SETTINGS[quantity]]] || Object.values(units)[0];
+}
+
+module.exports = {
+  DISPLAY_UNITS,
+  UNIT_SETTINGS,
+  normalizeValue,
+  getMetricUnit,
+  getDisplayUnit
+};
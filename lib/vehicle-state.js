@@ -0,0 +1,109 @@
+'use strict';
+
+// Keys of extractVehicleData() that describe the update rather than the vehicle
+const META_KEYS = ['vin', 'timestamp', 'full_update', 'attributeStatus'];
+
+/**
+ * Vehicle State
+ * In-memory model of the last known attributes of one vehicle. Full VEP updates replace
+ * the model, partial updates are merged into it, and apply() returns the attribute keys
+ * whose value changed, so capabilities are only written from real differences and a key
+ * missing from a partial update never resets a value.
+ */
+class VehicleState {
+  constructor(vin) {
+    this.vin = vin;
+    this.attributes = {};
+    this.attributeStatus = {};
+    this.timestamp = null;
+  }
+
+  /**
+   * Apply an update to the model
+   * @param {Object} data - Vehicle data (parser.extractVehicleData)
+   * @param {boolean} isFullUpdate - Update contains the complete attribute set
+   * @returns {Set} Attribute keys that were added, changed or (full update only) removed
+   */
+  apply(data, isFullUpdate) {
+    const attributes = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (!META_KEYS.includes(key)) {
+        attributes[key] = value;
+      }
+    }
+
+    const changes = new Set();
+
+    if (isFullUpdate) {
+      for (const key of Object.keys(this.attributes)) {
+        if (attributes[key] === undefined) {
+          changes.add(key);
+        }
+      }
+      this.attributes = {};
+      this.attributeStatus = {};
+    }
+
+    for (const [key, value] of Object.entries(attributes)) {
+      if (this.attributes[key] !== value) {
+        changes.add(key);
+      }
+      this.attributes[key] = value;
+    }
+
+    Object.assign(this.attributeStatus, data.attributeStatus || {});
+    this.timestamp = data.timestamp || this.timestamp;
+
+    return changes;
+  }
+
+  /**
+   * Snapshot for the device store
+   * @returns {Object} { attributes, attributeStatus, timestamp }
+   */
+  toJSON() {
+    return {
+      attributes: this.attributes,
+      attributeStatus: this.attributeStatus,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Restore a model from a snapshot created by toJSON()
+   * @param {string} vin - Vehicle identification number
+   * @param {Object} snapshot - Stored snapshot, may be null
+   * @returns {VehicleState}
+   */
+  static fromJSON(vin, snapshot) {
+    const state = new VehicleState(vin);
+    if (snapshot && snapshot.attributes) {
+      state.attributes = { ...snapshot.attributes };
+      state.attributeStatus = { ...snapshot.attributeStatus };
+      state.timestamp = snapshot.timestamp || null;
+    }
+    return state;
+  }
+
+  /**
+   * Number of known attributes
+   */
+  get size() {
+    return Object.keys(this.attributes).length;
+  }
+
+  /**
+   * Get the model in the vehicle data format
+   * @returns {Object} { vin, timestamp, attributeStatus, ...attributes }
+   */
+  toData() {
+    return {
+      ...this.attributes,
+      vin: this.vin,
+      timestamp: this.timestamp,
+      attributeStatus: this.attributeStatus
+    };
+  }
+}
+
+module.exports = VehicleState;
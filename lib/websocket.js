@@ -1,19 +1,46 @@
 'use strict';
 
+const EventEmitter = require('events');
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const { createCommandError } = require('./command-errors');
+const Logger = require('./logger');
 
 /**
  * Mercedes-Benz WebSocket Client
  * Handles real-time push updates from Mercedes API
  * Based on Home Assistant mbapi2020 websocket implementation
+ *
+ * Events:
+ *   vepUpdate        { vin, data, fullUpdate, sequenceNumber } - vehicle data per VIN (data: parser.extractVehicleData)
+ *   commandStatus    { requestId, vin, commandType, state, stateCode, sentAt, timestamp } - every state
+ *                    transition of a command sent through sendCommand()
+ *   assignedVehicles { vins } - VINs assigned to the account
+ *   serviceStatus    { sequenceNumber, updates } - service activation changes
+ *   userData         { sequenceNumber, userId } - account data changes
+ *   connectionState  { state, previous } - 'connecting', 'connected' or 'disconnected'
+ *   resyncRequired   { reason, stream, expected, received } - vehicle updates may have been missed:
+ *                    reason 'gap' (a vepUpdates sequence number was skipped) or 'reconnect'
+ *                    (connected again after the connection was lost)
+ *
+ * Listeners are called synchronously while the message is processed; asynchronous listeners
+ * must handle their own errors (and ordering, see MercedesAccountSession).
  */
-class MercedesWebSocket {
-  constructor(homey, oauth, region, protoParser) {
+class MercedesWebSocket extends EventEmitter {
+  /**
+   * @param {Object} homey - Homey instance
+   * @param {MercedesOAuth} oauth - OAuth client providing the access token
+   * @param {string} region - Region
+   * @param {ProtoParser} protoParser - Initialized protobuf parser
+   * @param {Logger} [logger] - Logger, defaults to the app log
+   */
+  constructor(homey, oauth, region, protoParser, logger = null) {
+    super();
     this.homey = homey;
     this.oauth = oauth;
     this.region = region;
     this.protoParser = protoParser;
+    this.logger = logger || new Logger(homey.app, { tag: 'WS' });
 
     this.ws = null;
     this.isConnecting = false;
@@ -25,10 +52,9 @@ class MercedesWebSocket {
 
     // Message queue
     this.messageQueue = [];
-    this.messageHandler = null;
 
     // Command tracking for responses
-    this.pendingCommands = new Map(); // requestId -> { resolve, reject, timeout, commandType }
+    this.pendingCommands = new Map(); // requestId -> { resolve, reject, timeout, timeoutMs, onTimeout, vin, commandType, state, sentAt }
 
     // Reconnection management
     this.reconnectAttempts = 0;
@@ -48,21 +74,21 @@ class MercedesWebSocket {
     this.accountBlocked = false;
     this.blockedSinceTime = null;
 
-    this.homey.app.log('[WS] MercedesWebSocket initialized');
+    // Last acknowledged sequence number per stream (vepUpdates, commandStatus, serviceStatus, userData)
+    this.acknowledgedSequences = {};
+
+    // Set when a connection that was established is lost; the next connect asks for a resync
+    this.hasConnected = false;
+    this.resyncOnConnect = false;
+
+    this.logger.debug('MercedesWebSocket initialized');
   }
 
   /**
    * Get WebSocket URL for region
    */
   _getWebSocketUrl() {
-    const urls = {
-      'Europe': 'wss://websocket.emea-prod.mobilesdk.mercedes-benz.com/v2/ws',
-      'North America': 'wss://websocket.amap-prod.mobilesdk.mercedes-benz.com/v2/ws',
-      'Asia-Pacific': 'wss://websocket.amap-prod.mobilesdk.mercedes-benz.com/v2/ws',
-      'China': 'wss://websocket.cn-prod.mobilesdk.mercedes-benz.com/v2/ws'
-    };
-
-    return urls[this.region] || urls['Europe'];
+    return this.oauth.endpoints.websocket;
   }
 
   /**
@@ -71,11 +97,9 @@ class MercedesWebSocket {
   async _getConnectionHeaders() {
     const accessToken = await this.oauth.getAccessToken();
 
-    // DEBUG: Log token format (first 30 chars)
-    const tokenPreview = accessToken ? accessToken.substring(0, 30) + '...' : 'null';
-    this.homey.app.log(`[WS] Auth token format: ${tokenPreview}`);
+    this.logger.debug(`Auth token: ${accessToken ? `${accessToken.length} characters` : 'missing'}`);
     if (accessToken && accessToken.startsWith('Bearer ')) {
-      this.homey.app.log('[WS] WARNING: Token includes "Bearer " prefix - may need to remove it');
+      this.logger.warn('Token includes "Bearer " prefix - may need to remove it');
     }
 
     const headers = {
@@ -99,25 +123,40 @@ class MercedesWebSocket {
   /**
    * Connect to WebSocket
    */
-  async connect(onDataReceived) {
+  async connect() {
     if (this.isConnecting || this.isStopping) {
-      this.homey.app.log('[WS] Already connecting or stopping, skipping connect request');
+      this.logger.info('Already connecting or stopping, skipping connect request');
       return;
     }
 
-    this.messageHandler = onDataReceived;
     this.isConnecting = true;
     this.isStopping = false;
+    this._setConnectionState('connecting');
 
     try {
       await this._connectInternal();
     } catch (error) {
-      this.homey.app.error('[WS] Connection failed:', error.message);
+      this.logger.error('Connection failed:', error.message);
       this.isConnecting = false;
+      this._setConnectionState('disconnected');
       this._scheduleReconnect();
     }
   }
 
+  /**
+   * Update the connection state and emit 'connectionState' when it changed
+   * @param {string} state - 'connecting', 'connected' or 'disconnected'
+   */
+  _setConnectionState(state) {
+    const previous = this.connectionState;
+    if (previous === state) {
+      return;
+    }
+
+    this.connectionState = state;
+    this.emit('connectionState', { state, previous });
+  }
+
   /**
    * Internal connection method
    */
@@ -125,28 +164,37 @@ class MercedesWebSocket {
     const url = this._getWebSocketUrl();
     const headers = await this._getConnectionHeaders();
 
-    this.homey.app.log(`[WS] Connecting to ${url}`);
+    this.logger.info(`Connecting to ${url}`);
 
     return new Promise((resolve, reject) => {
       try {
-        this.ws = new WebSocket(url, {
+        const socket = new WebSocket(url, {
           headers: headers,
           handshakeTimeout: 30000
         });
+        this.ws = socket;
 
         // Connection opened
         this.ws.on('open', () => {
-          this.homey.app.log('[WS] Connected to Mercedes WebSocket');
-          this.connectionState = 'connected';
+          this.logger.info('Connected to Mercedes WebSocket');
           this.isConnecting = false;
           this.reconnectAttempts = 0;
           this.accountBlocked = false;
           this.blockedSinceTime = null;
+          this._setConnectionState('connected');
 
           // Start watchdog timers
           this._startConnectionWatchdog();
           this._startPingWatchdog();
 
+          // Updates sent while the connection was down are lost
+          this.hasConnected = true;
+          if (this.resyncOnConnect) {
+            this.resyncOnConnect = false;
+            this.logger.info('Reconnected after a connection loss, requesting resync');
+            this.emit('resyncRequired', { reason: 'reconnect', stream: null, expected: null, received: null });
+          }
+
           resolve();
         });
 
@@ -157,32 +205,39 @@ class MercedesWebSocket {
             this._resetConnectionWatchdog();
             this._resetPingWatchdog();
 
-            // DEBUG: Log raw message info
-            this.homey.app.log(`[WS] Received ${data.length} bytes`);
-            if (data.length < 200) {
-              // For small messages, show hex dump
-              this.homey.app.log(`[WS] Hex dump: ${data.toString('hex')}`);
-            } else {
-              // For large messages, show first 100 bytes
-              this.homey.app.log(`[WS] First 100 bytes (hex): ${data.slice(0, 100).toString('hex')}...`);
+            // Raw message info (debug mode only)
+            this.logger.debug(`Received ${data.length} bytes`);
+            if (this.logger.isDebug()) {
+              if (data.length < 200) {
+                // For small messages, show hex dump
+                this.logger.debug(`Hex dump: ${data.toString('hex')}`);
+              } else {
+                // For large messages, show first 100 bytes
+                this.logger.debug(`First 100 bytes (hex): ${data.slice(0, 100).toString('hex')}...`);
+              }
+            }
+
+            // Dump raw frame for offline replay (tools/replay.js)
+            if (this.homey.app.recorder) {
+              this.homey.app.recorder.record('ws', data);
             }
 
             // Queue message for processing
             await this._processMessage(data);
           } catch (error) {
-            this.homey.app.error('[WS] Error processing message:', error.message);
+            this.logger.error('Error processing message:', error.message);
           }
         });
 
         // Connection error
         this.ws.on('error', (error) => {
-          this.homey.app.error('[WS] WebSocket error:', error.message);
+          this.logger.error('WebSocket error:', error.message);
 
           // Check for 429 (rate limiting)
           if (error.message && error.message.includes('429')) {
             this.accountBlocked = true;
             this.blockedSinceTime = Date.now();
-            this.homey.app.error('[WS] Account blocked (HTTP 429) - too many requests');
+            this.logger.error('Account blocked (HTTP 429) - too many requests');
           }
 
           reject(error);
@@ -190,9 +245,15 @@ class MercedesWebSocket {
 
         // Connection closed
         this.ws.on('close', (code, reason) => {
-          this.homey.app.log(`[WS] Connection closed - Code: ${code}, Reason: ${reason || 'No reason'}`);
-          this.connectionState = 'disconnected';
+          this.logger.info(`Connection closed - Code: ${code}, Reason: ${reason || 'No reason'}`);
+
+          // Replaced by reconnect() - the new socket owns the connection state
+          if (socket !== this.ws) {
+            return;
+          }
+
           this.isConnecting = false;
+          this._setConnectionState('disconnected');
 
           this._stopWatchdogs();
 
@@ -208,7 +269,7 @@ class MercedesWebSocket {
         });
 
       } catch (error) {
-        this.homey.app.error('[WS] Failed to create WebSocket:', error.message);
+        this.logger.error('Failed to create WebSocket:', error.message);
         reject(error);
       }
     });
@@ -223,60 +284,62 @@ class MercedesWebSocket {
       const message = this.protoParser.parsePushMessage(data);
 
       if (!message) {
-        this.homey.app.error('[WS] Failed to parse push message');
+        this.logger.error('Failed to parse push message');
         return;
       }
 
       const messageType = message.msg;
-      this.homey.app.log(`[WS] Received message type: ${messageType}`);
+      this.logger.debug(`Received message type: ${messageType}`);
 
       // Handle different message types
       let ackMessage = null;
+      let sequence = null; // { stream, sequenceNumber } of the acknowledged message
 
       switch (messageType) {
         case 'vepUpdates':
           // VEPUpdatesByVIN - main vehicle data updates
-          this.homey.app.log('[WS] Processing vepUpdates message');
+          this.logger.debug('Processing vepUpdates message');
           
           if (message.vepUpdates && message.vepUpdates.updates) {
-            this.homey.app.log(`[WS] Received updates for ${Object.keys(message.vepUpdates.updates).length} vehicles`);
+            this.logger.debug(`Received updates for ${Object.keys(message.vepUpdates.updates).length} vehicles`);
             
-            // Process updates for each vehicle
+            // Emit the update of each vehicle
             for (const [vin, vepUpdate] of Object.entries(message.vepUpdates.updates)) {
-              this.homey.app.log(`[WS] Processing update for VIN: ${vin}`);
+              this.logger.debug(`Processing update for VIN: ${vin}`);
               
               try {
-                // Extract vehicle data
-                const vehicleData = this.protoParser.extractVehicleData(vepUpdate);
-                
-                // Call message handler
-                if (this.messageHandler) {
-                  await this.messageHandler(vin, vehicleData, vepUpdate.fullUpdate);
-                }
+                this.emit('vepUpdate', {
+                  vin,
+                  data: this.protoParser.extractVehicleData(vepUpdate),
+                  fullUpdate: vepUpdate.fullUpdate === true,
+                  sequenceNumber: message.vepUpdates.sequenceNumber
+                });
               } catch (err) {
-                this.homey.app.error(`[WS] Error processing update for VIN ${vin}:`, err.message);
+                this.logger.error(`Error processing update for VIN ${vin}:`, err.message);
               }
             }
             
             // Send acknowledgment
             if (message.vepUpdates.sequenceNumber) {
               ackMessage = this.protoParser.createAcknowledgeVepUpdatesByVin(message.vepUpdates.sequenceNumber);
+              sequence = { stream: 'vepUpdates', sequenceNumber: message.vepUpdates.sequenceNumber };
             }
           }
           break;
 
         case 'assigned_vehicles':
-          this.homey.app.log('[WS] Received assigned vehicles');
+          this.logger.debug('Received assigned vehicles');
+          this.emit('assignedVehicles', { vins: message.assignedVehicles.vins || [] });
           ackMessage = Buffer.from('ba0100', 'hex');
           break;
 
         case 'apptwin_pending_command_request':
-          this.homey.app.log('[WS] Received apptwin pending command request');
+          this.logger.info('Received apptwin pending command request');
           ackMessage = Buffer.from('aa0100', 'hex');
           break;
 
         case 'apptwin_command_status_updates_by_vin':
-          this.homey.app.log('[WS] Command status update');
+          this.logger.debug('Command status update');
 
           // Handle command responses
           this._handleCommandStatusUpdates(message.apptwinCommandStatusUpdatesByVin);
@@ -285,59 +348,90 @@ class MercedesWebSocket {
             ackMessage = this.protoParser.createAcknowledgeAppTwinCommandStatusUpdateByVin(
               message.apptwinCommandStatusUpdatesByVin.sequenceNumber
             );
+            sequence = { stream: 'commandStatus', sequenceNumber: message.apptwinCommandStatusUpdatesByVin.sequenceNumber };
           }
           break;
 
-        case 'service_status_updates':
+        case 'service_status_updates': {
           // Note: HA uses ServiceStatusUpdatesByVIN (9), but our proto might use ServiceStatusUpdate (13) or 6. 
-          // If parser identifies it, we just ack it.
-          if (message.service_status_updates && message.service_status_updates.sequenceNumber) {
-             ackMessage = this.protoParser.createAcknowledgeServiceStatusUpdate(
-              message.service_status_updates.sequenceNumber
-            );
+          const { sequenceNumber, updates } = message.serviceStatusUpdates;
+          this.emit('serviceStatus', { sequenceNumber, updates: updates || [] });
+          if (sequenceNumber) {
+            ackMessage = this.protoParser.createAcknowledgeServiceStatusUpdate(sequenceNumber);
+            sequence = { stream: 'serviceStatus', sequenceNumber };
           }
           break;
+        }
 
-        case 'user_data_update':
-          if (message.user_data_update && message.user_data_update.sequenceNumber) {
-            ackMessage = this.protoParser.createAcknowledgeUserDataUpdate(
-              message.user_data_update.sequenceNumber
-            );
+        case 'user_data_update': {
+          const { sequenceNumber, userId } = message.userDataUpdate;
+          this.emit('userData', { sequenceNumber, userId });
+          if (sequenceNumber) {
+            ackMessage = this.protoParser.createAcknowledgeUserDataUpdate(sequenceNumber);
+            sequence = { stream: 'userData', sequenceNumber };
           }
           break;
+        }
 
         case 'debugMessage':
-          this.homey.app.log('[WS] Received debug message:', message.debugMessage.message);
+          this.logger.debug('Received debug message:', message.debugMessage.message);
           break;
 
         default:
-          this.homey.app.log(`[WS] Unhandled message type: ${messageType}`);
+          this.logger.warn(`Unhandled message type: ${messageType}`);
       }
 
       // Send acknowledgment if needed
       if (ackMessage) {
-        await this._sendMessage(ackMessage);
+        const sent = await this._sendMessage(ackMessage);
+        if (sent && sequence) {
+          this._trackSequence(sequence.stream, sequence.sequenceNumber);
+        }
       }
 
     } catch (error) {
-      this.homey.app.error('[WS] Error processing message:', error.message);
+      this.logger.error('Error processing message:', error.message);
     }
   }
 
   /**
    * Send message to WebSocket
+   * @returns {Promise<boolean>} true if the message was handed to the socket
    */
   async _sendMessage(message) {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      this.homey.app.error('[WS] Cannot send message - WebSocket not connected');
-      return;
+      this.logger.error('Cannot send message - WebSocket not connected');
+      return false;
     }
 
     try {
       const buffer = Buffer.isBuffer(message) ? message : message.serializeToString();
       this.ws.send(buffer);
+      return true;
     } catch (error) {
-      this.homey.app.error('[WS] Error sending message:', error.message);
+      this.logger.error('Error sending message:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Record an acknowledged sequence number and check it follows the previous one
+   * A skipped vepUpdates number means vehicle data was lost, which asks for a resync.
+   * A number at or below the last one is a redelivery or a restarted stream and starts a new baseline.
+   * @param {string} stream - Stream name
+   * @param {number} sequenceNumber - Acknowledged sequence number
+   */
+  _trackSequence(stream, sequenceNumber) {
+    const last = this.acknowledgedSequences[stream];
+    this.acknowledgedSequences[stream] = sequenceNumber;
+
+    if (last === undefined || sequenceNumber <= last + 1) {
+      return;
+    }
+
+    this.logger.warn(`Sequence gap on ${stream}: expected ${last + 1}, received ${sequenceNumber}`);
+    if (stream === 'vepUpdates') {
+      this.emit('resyncRequired', { reason: 'gap', stream, expected: last + 1, received: sequenceNumber });
     }
   }
 
@@ -358,7 +452,7 @@ class MercedesWebSocket {
     this._stopConnectionWatchdog();
 
     this.connectionWatchdog = setTimeout(() => {
-      this.homey.app.log('[WS] Connection watchdog expired - no data received');
+      this.logger.info('Connection watchdog expired - no data received');
       this._handleConnectionTimeout();
     }, this.INITIAL_WATCHDOG_TIMEOUT);
   }
@@ -418,10 +512,26 @@ class MercedesWebSocket {
 
   /**
    * Handle connection timeout
+   * Drops the stalled socket and schedules a reconnect (which resyncs after connecting);
+   * unlike disconnect() the client is not marked as stopping
    */
   _handleConnectionTimeout() {
-    this.homey.app.log('[WS] Connection timeout - initiating reconnect');
-    this.disconnect();
+    this.logger.info('Connection timeout - initiating reconnect');
+    this._stopWatchdogs();
+
+    // The close handler of a socket that is no longer this.ws leaves the state alone
+    const socket = this.ws;
+    this.ws = null;
+    if (socket) {
+      try {
+        socket.terminate();
+      } catch (error) {
+        this.logger.error('Error closing WebSocket:', error.message);
+      }
+    }
+
+    this.isConnecting = false;
+    this._setConnectionState('disconnected');
     this._scheduleReconnect();
   }
 
@@ -435,6 +545,11 @@ class MercedesWebSocket {
 
     this.reconnectAttempts++;
 
+    // The connection was lost - updates sent in the meantime need a resync after reconnecting
+    if (this.hasConnected) {
+      this.resyncOnConnect = true;
+    }
+
     // Exponential backoff: 10s * attempts^2, max 120s
     let delay = Math.min(
       10000 * Math.pow(this.reconnectAttempts, 2),
@@ -446,14 +561,14 @@ class MercedesWebSocket {
       delay = Math.max(delay, 60000); // At least 1 minute for blocked accounts
     }
 
-    this.homey.app.log(`[WS] Scheduling reconnect attempt ${this.reconnectAttempts} in ${delay/1000}s`);
+    this.logger.info(`Scheduling reconnect attempt ${this.reconnectAttempts} in ${delay/1000}s`);
 
     this.reconnectTimer = setTimeout(async () => {
       this.reconnectTimer = null;
 
       if (!this.isStopping) {
-        this.homey.app.log('[WS] Attempting reconnection...');
-        await this.connect(this.messageHandler);
+        this.logger.info('Attempting reconnection...');
+        await this.connect();
       }
     }, delay);
   }
@@ -463,7 +578,7 @@ class MercedesWebSocket {
    */
   _handleCommandStatusUpdates(statusUpdates) {
     if (!statusUpdates || !statusUpdates.updatesByVin) {
-      this.homey.app.log('[WS] No status updates in message');
+      this.logger.debug('No status updates in message');
       return;
     }
 
@@ -486,7 +601,7 @@ class MercedesWebSocket {
         const stateCode = status.state;
         const state = STATE_MAP[stateCode] || 'UNKNOWN';
         
-        this.homey.app.log(`[WS] Command ${requestId} status: ${state} (${stateCode})`);
+        this.logger.info(`Command ${requestId} status: ${state} (${stateCode})`);
 
         // Check if we're tracking this command
         const pending = this.pendingCommands.get(requestId);
@@ -494,34 +609,45 @@ class MercedesWebSocket {
           continue;
         }
 
-        // Clear timeout
-        if (pending.timeout) {
-          clearTimeout(pending.timeout);
+        // Emit state transitions (INITIATED -> ENQUEUED -> PROCESSING -> WAITING -> FINISHED/FAILED)
+        if (pending.state !== state) {
+          pending.state = state;
+          this.emit('commandStatus', {
+            requestId,
+            vin: pending.vin || vin,
+            commandType: pending.commandType,
+            state,
+            stateCode,
+            sentAt: pending.sentAt,
+            timestamp: status.timestampInMs ? Number(status.timestampInMs) : Date.now()
+          });
         }
 
         // Resolve or reject based on state
         if (state === 'FINISHED') {
-          this.homey.app.log(`[WS] Command ${requestId} completed successfully`);
+          clearTimeout(pending.timeout);
+          this.logger.info(`Command ${requestId} completed successfully`);
           pending.resolve({ success: true, state });
           this.pendingCommands.delete(requestId);
         } else if (state === 'FAILED') {
-          this.homey.app.error(`[WS] Command ${requestId} failed`);
-          
-          let errorMessage = 'Command failed';
+          clearTimeout(pending.timeout);
+          this.logger.error(`Command ${requestId} failed`);
+
           if (status.errors) {
-            this.homey.app.error(`[WS] Error details: Code=${status.errors.code}, Message=${status.errors.message}`);
-            if (status.errors.message) {
-              errorMessage += `: ${status.errors.message}`;
-            }
-            if (status.errors.code) {
-              errorMessage += ` (${status.errors.code})`;
-            }
+            this.logger.error(`Error details: Code=${status.errors.code}, Message=${status.errors.message}`);
           }
-          
-          pending.reject(new Error(errorMessage));
+
+          // Typed error (PIN_INVALID, VEHICLE_OFFLINE, ...) mapped from VehicleAPIError
+          const error = createCommandError(status.errors, pending.commandType);
+          this.logger.error(`Command ${requestId} failure reason: ${error.code}`);
+          pending.reject(error);
           this.pendingCommands.delete(requestId);
         }
-        // For INITIATED, ENQUEUED, PROCESSING states, keep waiting
+        else {
+          // INITIATED, ENQUEUED, PROCESSING, WAITING - vehicle is alive, restart the timeout
+          clearTimeout(pending.timeout);
+          pending.timeout = setTimeout(pending.onTimeout, pending.timeoutMs);
+        }
       }
     }
   }
@@ -530,17 +656,18 @@ class MercedesWebSocket {
    * Send command to vehicle via WebSocket with response tracking
    * @param {Buffer} message - Serialized protobuf command message
    * @param {String} requestId - Command request ID (extracted for tracking)
+   * @param {Object} details - { vin, commandType } reported with 'commandStatus' events
    * @param {Number} timeout - Timeout in ms (default 30000)
    * @returns {Promise} Resolves when command completes, rejects on failure/timeout
    */
-  async sendCommand(message, requestId, timeout = 30000) {
+  async sendCommand(message, requestId, details = {}, timeout = 30000) {
     // Wait for connection if needed
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      this.homey.app.log('[WS] Waiting for connection to send command...');
+      this.logger.info('Waiting for connection to send command...');
 
       // Try to connect
       if (!this.isConnecting) {
-        await this.connect(this.messageHandler);
+        await this.connect();
       }
 
       // Wait up to 5 seconds for connection
@@ -553,22 +680,34 @@ class MercedesWebSocket {
     }
 
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      throw new Error('WebSocket connection not available for command');
+      const error = new Error('WebSocket connection not available for command');
+      error.code = 'SOCKET_NOT_OPEN';
+      error.commandType = details.commandType;
+      throw error;
     }
 
     // Create promise for command response
     return new Promise((resolve, reject) => {
       // Set up timeout
-      const timeoutHandle = setTimeout(() => {
+      const onTimeout = () => {
         this.pendingCommands.delete(requestId);
-        reject(new Error('Command timeout - no response from vehicle'));
-      }, timeout);
+        const error = new Error('Command timeout - no response from vehicle');
+        error.code = 'COMMAND_TIMEOUT';
+        error.commandType = details.commandType;
+        reject(error);
+      };
+      const timeoutHandle = setTimeout(onTimeout, timeout);
 
       // Track pending command
       this.pendingCommands.set(requestId, {
         resolve,
         reject,
         timeout: timeoutHandle,
+        timeoutMs: timeout,
+        onTimeout,
+        vin: details.vin,
+        commandType: details.commandType,
+        state: null,
         sentAt: Date.now()
       });
 
@@ -579,15 +718,48 @@ class MercedesWebSocket {
         reject(error);
       });
 
-      this.homey.app.log(`[WS] Command ${requestId} sent, waiting for response...`);
+      this.logger.info(`Command ${requestId} sent, waiting for response...`);
     });
   }
 
+  /**
+   * Close the connection and connect again with fresh headers (e.g. after a token refresh)
+   * Pending commands keep waiting, their status updates arrive on the new connection
+   */
+  async reconnect() {
+    // Stopped on purpose, or a connection attempt (with fresh headers) is already running
+    if (this.isStopping || this.isConnecting) {
+      return;
+    }
+
+    this.logger.info('Reconnecting with new credentials...');
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this._stopWatchdogs();
+
+    const socket = this.ws;
+    this.ws = null;
+    if (socket) {
+      try {
+        socket.close(1000, 'Reconnect');
+      } catch (error) {
+        this.logger.error('Error closing WebSocket:', error.message);
+      }
+    }
+
+    this.isConnecting = false;
+    this._setConnectionState('disconnected');
+    await this.connect();
+  }
+
   /**
    * Disconnect from WebSocket
    */
   disconnect() {
-    this.homey.app.log('[WS] Disconnecting...');
+    this.logger.info('Disconnecting...');
     this.isStopping = true;
 
     // Stop reconnection
@@ -606,14 +778,14 @@ class MercedesWebSocket {
           this.ws.close(1000, 'Client shutdown');
         }
       } catch (error) {
-        this.homey.app.error('[WS] Error closing WebSocket:', error.message);
+        this.logger.error('Error closing WebSocket:', error.message);
       }
 
       this.ws = null;
     }
 
-    this.connectionState = 'disconnected';
-    this.homey.app.log('[WS] Disconnected');
+    this._setConnectionState('disconnected');
+    this.logger.info('Disconnected');
   }
 
   /**
@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * Charge planner with synthetic price curves
+ *
+ * All times are relative to NOW (a full hour in UTC), prices are per kWh.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parsePrices, nextDeparture, roundMaxSoc, planCharging, getMaxSoc, getNextChange
+} = require('../lib/charge-planner');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 15, 18); // 18:00 UTC
+
+// Evening peak, cheap night, morning peak
+const NIGHT_CURVE = [0.40, 0.38, 0.30, 0.25, 0.18, 0.12, 0.10, 0.11, 0.15, 0.22, 0.30, 0.35, 0.42, 0.45];
+
+const hoursOf = plan => plan.slots.map(slot => (slot.start - NOW) / HOUR);
+
+test('parsePrices accepts a plain array starting at the current hour', () => {
+  const prices = parsePrices('[0.3, 0.2]', NOW + 25 * 60 * 1000);
+  assert.deepEqual(prices, [{ start: NOW, price: 0.3 }, { start: NOW + HOUR, price: 0.2 }]);
+});
+
+test('parsePrices accepts objects with start times, sorted by start', () => {
+  const prices = parsePrices([
+    { startsAt: new Date(NOW + HOUR).toISOString(), total: 0.2 },
+    { start: NOW, price: 0.3 }
+  ], NOW);
+  assert.deepEqual(prices, [{ start: NOW, price: 0.3 }, { start: NOW + HOUR, price: 0.2 }]);
+});
+
+test('parsePrices accepts today and tomorrow lists', () => {
+  const prices = parsePrices({
+    today: [{ from: new Date(NOW).toISOString(), value: 0.3 }],
+    tomorrow: [{ from: new Date(NOW + HOUR).toISOString(), value: 0.2 }]
+  }, NOW);
+  assert.equal(prices.length, 2);
+});
+
+test('parsePrices rejects invalid input with INVALID_PRICES', () => {
+  for (const input of ['not json', '[]', '[{"start": "x", "price": 1}]', '{}']) {
+    assert.throws(() => parsePrices(input, NOW), { code: 'INVALID_PRICES' });
+  }
+});
+
+test('nextDeparture returns the next occurrence in the Homey time zone', () => {
+  // 18:00 UTC is 19:00 in Amsterdam (CET)
+  assert.equal(nextDeparture('07:30', NOW, 'Europe/Amsterdam'), NOW + 12.5 * HOUR);
+  assert.equal(nextDeparture('19:00', NOW, 'Europe/Amsterdam'), NOW + 24 * HOUR);
+  assert.equal(nextDeparture('20:00', NOW, 'UTC'), NOW + 2 * HOUR);
+  assert.throws(() => nextDeparture('7.30', NOW, 'UTC'), { code: 'INVALID_DEPARTURE' });
+});
+
+test('roundMaxSoc rounds to the 50-100% steps the vehicle accepts', () => {
+  assert.equal(roundMaxSoc(75), 80);
+  assert.equal(roundMaxSoc(75, Math.floor), 70);
+  assert.equal(roundMaxSoc(20), 50);
+  assert.equal(roundMaxSoc(104), 100);
+});
+
+test('planCharging picks the cheapest hours before departure', () => {
+  const plan = planCharging({
+    prices: parsePrices(NIGHT_CURVE, NOW),
+    now: NOW,
+    departure: NOW + 13 * HOUR,
+    soc: 50,
+    targetSoc: 80,
+    capacity: 100,
+    power: 10
+  });
+
+  // 30 kWh at 10 kW: the three cheapest hours (00:00-03:00)
+  assert.equal(plan.energy, 30);
+  assert.equal(plan.hours, 3);
+  assert.deepEqual(hoursOf(plan), [5, 6, 7]);
+  assert.equal(plan.cost, 3.3);
+  assert.equal(plan.feasible, true);
+  assert.equal(plan.maxSoc, 80);
+});
+
+test('planCharging only uses hours before departure', () => {
+  const plan = planCharging({
+    prices: parsePrices(NIGHT_CURVE, NOW),
+    now: NOW,
+    departure: NOW + 6 * HOUR,
+    soc: 50,
+    targetSoc: 80,
+    capacity: 100,
+    power: 10
+  });
+
+  assert.deepEqual(hoursOf(plan), [3, 4, 5]);
+});
+
+test('planCharging counts the rest of the current hour', () => {
+  const now = NOW + 30 * 60 * 1000;
+  const plan = planCharging({
+    prices: parsePrices([0.1, 0.5, 0.2], now),
+    now,
+    departure: NOW + 3 * HOUR,
+    soc: 60,
+    targetSoc: 70,
+    capacity: 100,
+    power: 10
+  });
+
+  // 10 kWh = 1 hour: the half hour left at 0.1 and the hour at 0.2
+  assert.deepEqual(plan.slots.map(slot => [slot.start, slot.end]), [
+    [now, NOW + HOUR],
+    [NOW + 2 * HOUR, NOW + 3 * HOUR]
+  ]);
+  assert.equal(plan.cost, 1.5);
+});
+
+test('planCharging uses hours without a price last and reports an infeasible plan', () => {
+  const plan = planCharging({
+    prices: parsePrices([0.3, 0.2], NOW),
+    now: NOW,
+    departure: NOW + 3 * HOUR,
+    soc: 10,
+    targetSoc: 100,
+    capacity: 100,
+    power: 10
+  });
+
+  assert.deepEqual(hoursOf(plan), [0, 1, 2]);
+  assert.equal(plan.feasible, false);
+  assert.equal(plan.cost, 5);
+});
+
+test('planCharging needs no slots when the target is reached', () => {
+  const plan = planCharging({
+    prices: parsePrices(NIGHT_CURVE, NOW),
+    now: NOW,
+    departure: NOW + 13 * HOUR,
+    soc: 85,
+    targetSoc: 80,
+    capacity: 100
+  });
+
+  assert.deepEqual(plan.slots, []);
+  assert.equal(plan.energy, 0);
+  assert.equal(getNextChange(plan, NOW), null);
+});
+
+test('planCharging starts below 50% with the charge the vehicle does by itself', () => {
+  const plan = planCharging({
+    prices: parsePrices(NIGHT_CURVE, NOW),
+    now: NOW,
+    departure: NOW + 13 * HOUR,
+    soc: 30,
+    targetSoc: 80,
+    capacity: 100,
+    power: 10
+  });
+
+  // 20 kWh to 50% right away at evening prices, 30 kWh in the three cheapest hours
+  assert.deepEqual(plan.slots.map(slot => [(slot.start - NOW) / HOUR, slot.forced]), [
+    [0, true], [1, true], [5, false], [6, false], [7, false]
+  ]);
+  assert.equal(plan.energy, 50);
+  assert.equal(plan.hours, 5);
+  assert.equal(plan.cost, 11.1);
+  assert.equal(plan.feasible, true);
+
+  // The forced slots run at the lowest max SoC, not at the target
+  assert.equal(getMaxSoc(plan, NOW, 30), 50);
+  assert.equal(getMaxSoc(plan, NOW + 1.5 * HOUR, 40), 50);
+  assert.equal(getMaxSoc(plan, NOW + 5.5 * HOUR, 50), 80);
+});
+
+test('planCharging ends the forced charge within the hour it reaches 50%', () => {
+  const plan = planCharging({
+    prices: parsePrices(NIGHT_CURVE, NOW),
+    now: NOW,
+    departure: NOW + 13 * HOUR,
+    soc: 45,
+    targetSoc: 80,
+    capacity: 100,
+    power: 10
+  });
+
+  assert.deepEqual(plan.slots[0], { start: NOW, end: NOW + 0.5 * HOUR, price: 0.40, forced: true });
+  assert.deepEqual(hoursOf(plan), [0, 5, 6, 7]);
+  assert.equal(plan.cost, 5.3);
+  assert.equal(getNextChange(plan, NOW), NOW + 0.5 * HOUR);
+});
+
+test('getMaxSoc charges inside slots and holds the SoC outside', () => {
+  const plan = planCharging({
+    prices: parsePrices(NIGHT_CURVE, NOW),
+    now: NOW,
+    departure: NOW + 13 * HOUR,
+    soc: 56,
+    targetSoc: 80,
+    capacity: 100,
+    power: 10
+  });
+
+  assert.equal(getMaxSoc(plan, NOW, 56), 50);
+  assert.equal(getMaxSoc(plan, NOW + 5.5 * HOUR, 56), 80);
+  assert.equal(getMaxSoc(plan, NOW + 12 * HOUR, 76), 70);
+});
+
+test('getNextChange returns the next slot boundary', () => {
+  const plan = planCharging({
+    prices: parsePrices(NIGHT_CURVE, NOW),
+    now: NOW,
+    departure: NOW + 13 * HOUR,
+    soc: 50,
+    targetSoc: 80,
+    capacity: 100,
+    power: 10
+  });
+
+  assert.equal(getNextChange(plan, NOW), NOW + 5 * HOUR);
+  assert.equal(getNextChange(plan, NOW + 5 * HOUR), NOW + 6 * HOUR);
+  assert.equal(getNextChange(plan, NOW + 8 * HOUR), null);
+});
+
+test('re-planning with a higher SoC drops the most expensive slot', () => {
+  const prices = parsePrices(NIGHT_CURVE, NOW);
+  const options = { prices, departure: NOW + 13 * HOUR, targetSoc: 80, capacity: 100, power: 10 };
+
+  const before = planCharging({ ...options, now: NOW, soc: 50 });
+  const after = planCharging({ ...options, now: NOW + HOUR, soc: 60 });
+
+  assert.deepEqual(hoursOf(before), [5, 6, 7]);
+  assert.deepEqual(hoursOf(after), [6, 7]);
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Command queue ordering, merging and retries
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CommandQueue = require('../lib/command-queue');
+
+const homey = { app: { log() {}, error() {} } };
+
+/**
+ * Queue with a short retry delay and a log of the commands that were sent
+ */
+function createQueue() {
+  const queue = new CommandQueue(homey, 'WDD0000000TEST001', { retryDelay: 1 });
+  queue.sent = [];
+  queue.send = type => queue.enqueue(type, {}, async () => {
+    queue.sent.push(type);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return type;
+  });
+  return queue;
+}
+
+test('identical commands in a row are sent once', async () => {
+  const queue = createQueue();
+
+  const results = await Promise.all([queue.send('lock'), queue.send('lock'), queue.send('lock')]);
+
+  assert.deepEqual(results, ['lock', 'lock', 'lock']);
+  assert.deepEqual(queue.sent, ['lock']);
+});
+
+test('a command is not merged across another command', async () => {
+  const queue = createQueue();
+
+  // lock runs, unlock waits: the second lock must run after the unlock
+  await Promise.all([queue.send('lock'), queue.send('unlock'), queue.send('lock')]);
+  assert.deepEqual(queue.sent, ['lock', 'unlock', 'lock']);
+
+  // lock and unlock wait behind climate: the same applies to queued commands
+  queue.sent = [];
+  await Promise.all([queue.send('climate'), queue.send('lock'), queue.send('unlock'), queue.send('lock')]);
+  assert.deepEqual(queue.sent, ['climate', 'lock', 'unlock', 'lock']);
+});
+
+/**
+ * Queue whose command fails with an error code on every attempt
+ */
+async function attemptsUntilFailure(code) {
+  const queue = new CommandQueue(homey, 'WDD0000000TEST001', { retryDelay: 1 });
+  let attempts = 0;
+  await assert.rejects(queue.enqueue('unlock', { pin: '1234' }, async () => {
+    attempts++;
+    const error = new Error(code);
+    error.code = code;
+    throw error;
+  }), { code });
+  return attempts;
+}
+
+test('a command that could not be sent is retried', async () => {
+  assert.equal(await attemptsUntilFailure('SOCKET_NOT_OPEN'), 3);
+});
+
+test('a timed out or rejected command is not retried', async () => {
+  assert.equal(await attemptsUntilFailure('COMMAND_TIMEOUT'), 1);
+  assert.equal(await attemptsUntilFailure('PIN_INVALID'), 1);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * End to end against tools/mock-server.js
+ *
+ * Logs in through the mock CIAM (with a one-time code), lists the vehicles, reads the vehicle
+ * attributes and sends commands over the WebSocket until the AppTwin status acknowledges them.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const MockMercedesBackend = require('../tools/mock-server');
+const MercedesOAuth = require('../lib/oauth');
+const MercedesAPI = require('../lib/api');
+
+const VIN = 'WDD0000000MOCK001';
+const OTP = '654321';
+
+const homey = { app: { log() {}, error() {} } };
+
+let backend;
+
+before(async () => {
+  backend = new MockMercedesBackend({ otp: OTP, commandDelay: 10 });
+  MercedesOAuth.setEndpointOverride(await backend.start());
+});
+
+after(async () => {
+  MercedesOAuth.setEndpointOverride(null);
+  await backend.stop();
+});
+
+test('login, vehicles and WebSocket commands', async () => {
+  const oauth = new MercedesOAuth(homey, 'Europe');
+
+  // Login with a one-time code
+  await assert.rejects(oauth.login(backend.username, 'wrong'));
+  await assert.rejects(oauth.login(backend.username, backend.password), { code: 'OTP_REQUIRED' });
+  await assert.rejects(oauth.submitOtp('000000'), { code: 'OTP_INVALID' });
+  const token = await oauth.submitOtp(OTP);
+  assert.ok(token.access_token);
+  assert.ok(token.refresh_token);
+
+  // Vehicles and their attributes
+  const vehicles = await oauth.getVehicles();
+  assert.deepEqual(vehicles.map(vehicle => vehicle.fin), [VIN]);
+
+  const api = new MercedesAPI(homey, oauth, 'Europe');
+  await api.initialize();
+  const data = await api.getVehicleData(VIN);
+  assert.equal(data.soc, 80);
+  assert.equal(data.doorlockstatusvehicle, 2);
+  assert.equal(data.odo, 12345);
+
+  // Commands over the WebSocket, acknowledged by AppTwin command status updates
+  const states = [];
+  await api.connectWebSocket({ commandStatus: status => states.push(status.state) });
+
+  try {
+    assert.equal(api.isWebSocketConnected(), true);
+
+    const result = await api.unlockVehicle(VIN, backend.vehicles[0].pin);
+    assert.deepEqual(result, { success: true, state: 'FINISHED' });
+    assert.deepEqual(states, ['ENQUEUED', 'FINISHED']);
+
+    await assert.rejects(api.unlockVehicle(VIN, '0000'), { code: 'PIN_INVALID' });
+
+    assert.deepEqual(backend.commands.map(command => command.type), ['doorsUnlock', 'doorsUnlock']);
+  } finally {
+    await api.disconnectWebSocket();
+  }
+});
+
+test('an expired access token is refreshed before the next request', async () => {
+  const oauth = new MercedesOAuth(homey, 'Europe');
+  await assert.rejects(oauth.login(backend.username, backend.password), { code: 'OTP_REQUIRED' });
+  await oauth.submitOtp(OTP);
+
+  const api = new MercedesAPI(homey, oauth, 'Europe');
+  await api.initialize();
+
+  backend.expireAccessTokens();
+  oauth.token.expires_at = Math.floor(Date.now() / 1000) - 1;
+  const refreshes = backend.requests.filter(request => request.path === '/as/token.oauth2').length;
+
+  const data = await api.getVehicleData(VIN);
+  assert.equal(data.soc, 80);
+  assert.equal(backend.requests.filter(request => request.path === '/as/token.oauth2').length, refreshes + 1);
+});
@@ -0,0 +1,336 @@
+'use strict';
+
+/**
+ * ProtoParser encode/decode round trips
+ *
+ * Every command builder is decoded back against vehicle-commands.proto (via client.proto),
+ * every push message type is encoded and parsed with parsePushMessage(), and all
+ * buffers are compared with golden fixtures in test/fixtures/proto so a .proto edit that
+ * shifts field numbers is noticed.
+ *
+ * Regenerate the fixtures after an intentional change: UPDATE_GOLDEN=1 npm test
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const protobuf = require('protobufjs');
+const ProtoParser = require('../lib/proto/parser');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'proto');
+const VIN = 'WDD2222221A000001';
+const REQUEST_ID = '00000000-0000-4000-8000-000000000001';
+const TIMESTAMP = 1700000000000;
+
+const homey = { app: { log() {}, error() {} } };
+
+let parser;
+let ClientMessage; // client.proto, loaded independently of the parser
+
+before(async () => {
+  parser = new ProtoParser(homey);
+  await parser.initialize();
+
+  // Fixed request id, so command buffers are stable
+  parser._generateRequestId = () => REQUEST_ID;
+
+  const root = await protobuf.load(path.join(__dirname, '..', 'lib', 'proto', 'client.proto'));
+  ClientMessage = root.lookupType('proto.ClientMessage');
+});
+
+/**
+ * Compare a buffer with its golden fixture (or write it with UPDATE_GOLDEN=1)
+ */
+function assertGolden(name, buffer) {
+  const file = path.join(FIXTURES, `${name}.bin`);
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(file, buffer);
+    return;
+  }
+
+  assert.ok(fs.existsSync(file), `Missing golden fixture ${name}.bin (run with UPDATE_GOLDEN=1)`);
+  assert.equal(Buffer.from(buffer).toString('hex'), fs.readFileSync(file).toString('hex'), `${name} differs from golden fixture`);
+}
+
+/**
+ * Decode a command buffer and return { vin, requestId, command, payload }
+ */
+function decodeCommand(buffer) {
+  const message = ClientMessage.toObject(ClientMessage.decode(buffer), {
+    longs: Number,
+    enums: String,
+    oneofs: true
+  });
+
+  const request = message.commandRequest;
+  return {
+    vin: request.vin,
+    requestId: request.requestId,
+    command: request.command,
+    payload: request[request.command]
+  };
+}
+
+// ==================== Commands ====================
+
+const COMMANDS = [
+  { builder: 'createLockCommand', args: [], command: 'doorsLock', payload: {} },
+  { builder: 'createUnlockCommand', args: ['1234'], command: 'doorsUnlock', payload: { pin: '1234' } },
+  { builder: 'createFlashLightsCommand', args: [], command: 'sigposStart', payload: { lightType: 'DIPPED_HEAD_LIGHT', sigposType: 'LIGHT_ONLY' } },
+  {
+    builder: 'createSoundHornCommand',
+    args: ['panic'],
+    command: 'sigposStart',
+    payload: { hornRepeat: 3, hornType: 'HORN_LOW_VOLUME', lightType: 'WARNING_LIGHT', sigposDuration: 5, sigposType: 'PANIC_ALARM' }
+  },
+  { builder: 'createStartClimateCommand', args: [], command: 'auxheatStart', payload: {} },
+  { builder: 'createStopClimateCommand', args: [], command: 'auxheatStop', payload: {} },
+  { builder: 'createStartEngineCommand', args: ['1234'], command: 'engineStart', payload: { pin: '1234' } },
+  { builder: 'createStopEngineCommand', args: [], command: 'engineStop', payload: {} },
+  { builder: 'createOpenWindowsCommand', args: ['1234'], command: 'windowsOpen', payload: { pin: '1234' } },
+  { builder: 'createCloseWindowsCommand', args: [], command: 'windowsClose', payload: {} },
+  { builder: 'createOpenSunroofCommand', args: ['1234'], command: 'sunroofOpen', payload: { pin: '1234' } },
+  { builder: 'createCloseSunroofCommand', args: [], command: 'sunroofClose', payload: {} },
+  { builder: 'createTiltSunroofCommand', args: [], command: 'sunroofLift', payload: {} },
+  { builder: 'createStartPrecondCommand', args: [], command: 'zevPrecondStart', payload: {} },
+  { builder: 'createStopPrecondCommand', args: [], command: 'zevPrecondStop', payload: {} },
+  {
+    builder: 'createConfigurePrecondDepartureCommand',
+    args: [450, 1],
+    command: 'zevPrecondConfigure',
+    payload: { departureTime: 450, departureTimeMode: 1 }
+  },
+  {
+    builder: 'createConfigureTemperatureCommand',
+    args: [[{ zone: 'frontLeft', temperature: 21.5 }, { zone: 'frontRight', temperature: 20 }]],
+    command: 'temperatureConfigure',
+    payload: {
+      temperaturePoints: [
+        { zone: 'frontLeft', temperatureInCelsius: 21.5 },
+        { zone: 'frontRight', temperatureInCelsius: 20 }
+      ]
+    }
+  },
+  {
+    builder: 'createConfigureSeatHeatingCommand',
+    args: [true, true, false, true],
+    command: 'precondSeatConfigure',
+    payload: { frontLeft: true, frontRight: true, rearLeft: false, rearRight: true }
+  }
+];
+
+for (const { builder, args, command, payload } of COMMANDS) {
+  test(`${builder} round trips through vehicle-commands.proto`, () => {
+    const { buffer, requestId } = parser[builder](VIN, ...args);
+
+    assert.ok(Buffer.isBuffer(buffer));
+    assert.equal(requestId, REQUEST_ID);
+
+    const decoded = decodeCommand(buffer);
+    assert.equal(decoded.vin, VIN);
+    assert.equal(decoded.requestId, REQUEST_ID);
+    assert.equal(decoded.command, command);
+    assert.deepEqual(decoded.payload, payload);
+
+    assertGolden(`command-${builder.replace(/^create/, '')}`, buffer);
+  });
+}
+
+test('every create*Command builder is covered', () => {
+  const builders = Object.getOwnPropertyNames(ProtoParser.prototype)
+    .filter(name => /^create\w+Command$/.test(name));
+
+  assert.deepEqual(builders.sort(), COMMANDS.map(entry => entry.builder).sort());
+});
+
+test('command builders generate a unique request id per call', () => {
+  const fresh = new ProtoParser(homey);
+  fresh.initialized = true;
+
+  const ids = new Set(Array.from({ length: 50 }, () => fresh._generateRequestId()));
+  assert.equal(ids.size, 50);
+  for (const id of ids) {
+    assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  }
+});
+
+// ==================== Push messages ====================
+
+function encodePush(payload) {
+  return Buffer.from(parser.PushMessage.encode(parser.PushMessage.create(payload)).finish());
+}
+
+test('VEPUpdatesByVIN round trips through parsePushMessage and extractVehicleData', () => {
+  const buffer = encodePush({
+    vepUpdates: {
+      sequenceNumber: 42,
+      updates: {
+        [VIN]: {
+          sequenceNumber: 7,
+          vin: VIN,
+          fullUpdate: true,
+          emitTimestampInMs: TIMESTAMP,
+          attributes: {
+            soc: { intValue: 85, status: 4, timestampInMs: TIMESTAMP },
+            doorlockstatusvehicle: { intValue: 2, status: 4, timestampInMs: TIMESTAMP },
+            precondActive: { boolValue: true, status: 4, timestampInMs: TIMESTAMP },
+            odometer: { doubleValue: 12345.5, status: 4, timestampInMs: TIMESTAMP }
+          }
+        }
+      }
+    }
+  });
+
+  assertGolden('push-vep-updates-by-vin', buffer);
+
+  const message = parser.parsePushMessage(buffer);
+  assert.equal(message.msg, 'vepUpdates');
+  assert.equal(message.vepUpdates.sequenceNumber, 42);
+
+  const update = message.vepUpdates.updates[VIN];
+  assert.equal(update.vin, VIN);
+  assert.equal(update.fullUpdate, true);
+
+  const data = parser.extractVehicleData(update);
+  assert.equal(Number(data.soc), 85);
+  assert.equal(Number(data.doorlockstatusvehicle), 2);
+  assert.equal(data.precondActive, true);
+  assert.equal(Number(data.odometer), 12345.5);
+
+  // Per-attribute metadata is kept next to the values
+  assert.deepEqual(data.attributeStatus.soc, { status: 4, timestamp: TIMESTAMP, changed: false });
+});
+
+test('AppTwinCommandStatusUpdatesByVIN round trips through parsePushMessage', () => {
+  const buffer = encodePush({
+    apptwinCommandStatusUpdatesByVin: {
+      sequenceNumber: 9,
+      updatesByVin: {
+        [VIN]: {
+          vin: VIN,
+          updatesByPid: {
+            1001: {
+              processId: 1001,
+              requestId: REQUEST_ID,
+              timestampInMs: TIMESTAMP,
+              state: 6,
+              errors: { code: '4061', message: 'Invalid PIN' }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  assertGolden('push-apptwin-command-status-updates-by-vin', buffer);
+
+  const message = parser.parsePushMessage(buffer);
+  assert.equal(message.msg, 'apptwin_command_status_updates_by_vin');
+  assert.equal(message.apptwinCommandStatusUpdatesByVin.sequenceNumber, 9);
+
+  // int64 map keys are not decimal strings without the long package, look the entry up by its process id
+  const updatesByPid = message.apptwinCommandStatusUpdatesByVin.updatesByVin[VIN].updatesByPid;
+  const status = Object.values(updatesByPid).find(update => update.processId === 1001);
+  assert.ok(status, 'Command status for process 1001 not found');
+  assert.equal(status.requestId, REQUEST_ID);
+  assert.equal(status.state, 6);
+  assert.equal(status.timestampInMs, TIMESTAMP);
+  assert.deepEqual(status.errors, { code: '4061', message: 'Invalid PIN' });
+});
+
+test('ServiceStatusUpdate round trips through parsePushMessage', () => {
+  const buffer = encodePush({
+    serviceStatusUpdates: { sequenceNumber: 3, updates: ['service-a', 'service-b'] }
+  });
+
+  assertGolden('push-service-status-update', buffer);
+
+  const message = parser.parsePushMessage(buffer);
+  assert.equal(message.msg, 'service_status_updates');
+  assert.equal(message.serviceStatusUpdates.sequenceNumber, 3);
+  assert.deepEqual(message.serviceStatusUpdates.updates, ['service-a', 'service-b']);
+});
+
+test('UserDataUpdate round trips through parsePushMessage', () => {
+  const buffer = encodePush({
+    userDataUpdate: { sequenceNumber: 4, userId: 'user-123' }
+  });
+
+  assertGolden('push-user-data-update', buffer);
+
+  const message = parser.parsePushMessage(buffer);
+  assert.equal(message.msg, 'user_data_update');
+  assert.equal(message.userDataUpdate.sequenceNumber, 4);
+  assert.equal(message.userDataUpdate.userId, 'user-123');
+});
+
+test('bare VEPUpdatesByVIN round trips through parseVepUpdatesByVin', () => {
+  const buffer = Buffer.from(parser.VEPUpdatesByVIN.encode(parser.VEPUpdatesByVIN.create({
+    sequenceNumber: 5,
+    updates: {
+      [VIN]: {
+        vin: VIN,
+        emitTimestampInMs: TIMESTAMP,
+        attributes: { soc: { intValue: 50, status: 4, timestampInMs: TIMESTAMP } }
+      }
+    }
+  })).finish());
+
+  assertGolden('vep-updates-by-vin', buffer);
+
+  const message = parser.parseVepUpdatesByVin(buffer);
+  assert.equal(message.sequenceNumber, 5);
+  assert.equal(Number(parser.extractVehicleData(message.updates[VIN]).soc), 50);
+});
+
+test('widget VEPUpdate round trips through parseVEPUpdate', () => {
+  const buffer = Buffer.from(parser.VEPUpdate.encode(parser.VEPUpdate.create({
+    sequenceNumber: 1,
+    vin: VIN,
+    fullUpdate: true,
+    emitTimestampInMs: TIMESTAMP,
+    attributes: {
+      soc: { intValue: 60, status: 4, timestampInMs: TIMESTAMP },
+      rangeelectric: { intValue: 250, status: 4, timestampInMs: TIMESTAMP }
+    }
+  })).finish());
+
+  assertGolden('vep-update', buffer);
+
+  const update = parser.parseVEPUpdate(buffer);
+  assert.equal(update.vin, VIN);
+
+  const data = parser.extractVehicleData(update);
+  assert.equal(Number(data.soc), 60);
+  assert.equal(Number(data.rangeelectric), 250);
+});
+
+// ==================== Acknowledgements ====================
+
+const ACKS = [
+  { builder: 'createAcknowledgeVepUpdatesByVin', field: 'acknowledgeVepUpdatesByVin' },
+  { builder: 'createAcknowledgeAppTwinCommandStatusUpdateByVin', field: 'acknowledgeApptwinCommandStatusUpdateByVin' },
+  { builder: 'createAcknowledgeServiceStatusUpdate', field: 'acknowledgeServiceStatusUpdate' },
+  { builder: 'createAcknowledgeUserDataUpdate', field: 'acknowledgeUserDataUpdate' }
+];
+
+for (const { builder, field } of ACKS) {
+  test(`${builder} round trips through vehicle-events.proto`, () => {
+    const buffer = parser[builder](17);
+
+    const decoded = parser.ClientMessage.toObject(parser.ClientMessage.decode(buffer), { oneofs: true });
+    assert.equal(decoded[field].sequenceNumber, 17);
+
+    assertGolden(`ack-${builder.replace(/^createAcknowledge/, '')}`, buffer);
+  });
+}
+
+test('parsers refuse to run before initialize()', () => {
+  const uninitialized = new ProtoParser(homey);
+
+  assert.throws(() => uninitialized.parsePushMessage(Buffer.alloc(0)), /not initialized/);
+  assert.throws(() => uninitialized.parseVEPUpdate(Buffer.alloc(0)), /not initialized/);
+  assert.throws(() => uninitialized.createLockCommand(VIN), /not initialized/);
+});
@@ -0,0 +1,266 @@
+'use strict';
+
+/**
+ * Resync after lost WebSocket updates
+ *
+ * MercedesWebSocket asks for a resync on a vepUpdates sequence gap and after reconnecting
+ * a lost connection (checked against tools/mock-server.js), MercedesAccountSession
+ * combines these requests and fetches the vehicle state at most once per RESYNC_MIN_INTERVAL.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const MockMercedesBackend = require('../tools/mock-server');
+const MercedesOAuth = require('../lib/oauth');
+const MercedesAPI = require('../lib/api');
+const MercedesWebSocket = require('../lib/websocket');
+const MercedesAccountSession = require('../lib/account-session');
+const ProtoParser = require('../lib/proto/parser');
+
+const VIN = 'WDD0000000MOCK001';
+
+const homey = { app: { log() {}, error() {} } };
+
+let backend;
+
+before(async () => {
+  backend = new MockMercedesBackend({ commandDelay: 10 });
+  MercedesOAuth.setEndpointOverride(await backend.start());
+});
+
+after(async () => {
+  MercedesOAuth.setEndpointOverride(null);
+  await backend.stop();
+});
+
+/**
+ * Token issued by the mock backend
+ */
+function issueToken() {
+  const tokens = backend._issueTokens();
+  return { ...tokens, expires_at: Math.floor(Date.now() / 1000) + tokens.expires_in };
+}
+
+/**
+ * API client with a token issued by the mock backend
+ */
+async function createApi() {
+  const oauth = new MercedesOAuth(homey, 'Europe');
+  oauth.token = issueToken();
+
+  const api = new MercedesAPI(homey, oauth, 'Europe');
+  await api.initialize();
+  return api;
+}
+
+/**
+ * Wait until a condition holds (checked every 5 ms, fails after 2 s)
+ */
+async function waitFor(condition) {
+  const deadline = Date.now() + 2000;
+  while (!condition()) {
+    assert.ok(Date.now() < deadline, 'Timed out waiting for the mock backend');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// ==================== MercedesWebSocket ====================
+
+test('a skipped vepUpdates sequence number requests a resync, other streams only warn', async () => {
+  const parser = new ProtoParser(homey);
+  await parser.initialize();
+
+  const websocket = new MercedesWebSocket(homey, { endpoints: {} }, 'Europe', parser);
+  const events = [];
+  websocket.on('resyncRequired', event => events.push(event));
+
+  for (const sequenceNumber of [5, 6, 6, 9, 1, 2]) {
+    websocket._trackSequence('vepUpdates', sequenceNumber);
+  }
+  websocket._trackSequence('userData', 1);
+  websocket._trackSequence('userData', 5);
+
+  assert.deepEqual(events, [{ reason: 'gap', stream: 'vepUpdates', expected: 7, received: 9 }]);
+  assert.deepEqual(websocket.acknowledgedSequences, { vepUpdates: 2, userData: 5 });
+});
+
+test('command status updates between vehicle updates are no sequence gap', async () => {
+  const api = await createApi();
+  const events = [];
+  let updates = 0;
+  await api.connectWebSocket({
+    resyncRequired: event => events.push(event),
+    vepUpdate: () => updates++
+  });
+  const { websocket } = api;
+
+  try {
+    await waitFor(() => updates === 1); // initial full update
+
+    await api.unlockVehicle(VIN, '1234');
+    await waitFor(() => updates === 2);
+
+    await api.lockVehicle(VIN);
+    await waitFor(() => updates === 3);
+
+    // Acknowledgements are tracked after sending, let the last one finish
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(events, []);
+    assert.equal(websocket.acknowledgedSequences.vepUpdates, 3);
+    assert.equal(websocket.acknowledgedSequences.commandStatus, 4);
+  } finally {
+    await api.disconnectWebSocket();
+  }
+});
+
+test('a connection watchdog timeout reconnects and requests a resync', async () => {
+  const api = await createApi();
+  const events = [];
+  await api.connectWebSocket({ resyncRequired: event => events.push(event) });
+  const { websocket } = api;
+
+  try {
+    websocket._handleConnectionTimeout();
+
+    assert.equal(websocket.isStopping, false);
+    assert.equal(websocket.getConnectionState(), 'disconnected');
+    assert.ok(websocket.reconnectTimer, 'Reconnect not scheduled');
+    assert.deepEqual(events, []);
+
+    // Skip the backoff delay
+    clearTimeout(websocket.reconnectTimer);
+    websocket.reconnectTimer = null;
+    await websocket.connect();
+
+    assert.equal(websocket.getConnectionState(), 'connected');
+    assert.deepEqual(events, [{ reason: 'reconnect', stream: null, expected: null, received: null }]);
+  } finally {
+    await api.disconnectWebSocket();
+  }
+});
+
+test('a deliberate disconnect does not reconnect', async () => {
+  const api = await createApi();
+  await api.connectWebSocket();
+  const { websocket } = api;
+
+  await api.disconnectWebSocket();
+
+  assert.equal(websocket.isStopping, true);
+  assert.equal(websocket.reconnectTimer, null);
+});
+
+// ==================== MercedesAccountSession ====================
+
+/**
+ * Session with a stubbed vehicle data request, counting the requests per VIN
+ */
+function createSession() {
+  const session = new MercedesAccountSession(homey, 'test@example.com', 'Europe', null);
+  session.fetches = [];
+  session.api.getVehicleData = async vin => {
+    session.fetches.push(vin);
+    if (vin === 'FAILING') {
+      throw new Error('Request failed');
+    }
+    return { soc: 60, full_update: true };
+  };
+  return session;
+}
+
+/**
+ * Wait until the scheduled resync ran and its results were handed to the subscribers
+ */
+async function settleResync(session) {
+  await new Promise(resolve => setTimeout(resolve, 10));
+  await Promise.all(session.vepUpdateQueues.values());
+}
+
+test('resync requests are combined into one fetch per vehicle', async () => {
+  const session = createSession();
+  const resyncs = [];
+  session.subscribe(VIN, { onVepUpdate: async () => {}, onResync: async resync => resyncs.push(resync) });
+  session.subscribe('FAILING', { onVepUpdate: async () => {}, onResync: async resync => resyncs.push(resync) });
+
+  try {
+    session._onResyncRequired({ reason: 'reconnect' });
+    session._onResyncRequired({ reason: 'gap' });
+    await settleResync(session);
+
+    assert.deepEqual(session.fetches, [VIN, 'FAILING']);
+    assert.deepEqual(resyncs.map(({ vin, reasons, data, error }) => ({ vin, reasons, data: !!data, error: !!error })), [
+      { vin: VIN, reasons: ['reconnect', 'gap'], data: true, error: false },
+      { vin: 'FAILING', reasons: ['reconnect', 'gap'], data: false, error: true }
+    ]);
+  } finally {
+    await session.close();
+  }
+});
+
+test('a resync within RESYNC_MIN_INTERVAL of the previous one is deferred', async () => {
+  const session = createSession();
+  session.subscribe(VIN, { onVepUpdate: async () => {}, onResync: async () => {} });
+
+  try {
+    session._onResyncRequired({ reason: 'gap' });
+    await settleResync(session);
+    assert.equal(session.fetches.length, 1);
+
+    session._onResyncRequired({ reason: 'gap' });
+    session._onResyncRequired({ reason: 'reconnect' });
+    await settleResync(session);
+
+    assert.equal(session.fetches.length, 1, 'Resync not throttled');
+    assert.ok(session.resyncTimer, 'Deferred resync not scheduled');
+    assert.deepEqual([...session.resyncReasons], ['gap', 'reconnect']);
+
+    // Once the interval has passed the next request runs right away
+    clearTimeout(session.resyncTimer);
+    session.resyncTimer = null;
+    session.lastResyncAt = Date.now() - 60 * 1000;
+    session._onResyncRequired({ reason: 'gap' });
+    await settleResync(session);
+
+    assert.equal(session.fetches.length, 2);
+    assert.equal(session.resyncTimer, null);
+  } finally {
+    await session.close();
+  }
+});
+
+test('closing the session cancels a deferred resync', async () => {
+  const session = createSession();
+  session.subscribe(VIN, { onVepUpdate: async () => {}, onResync: async () => {} });
+  session.lastResyncAt = Date.now();
+
+  session._onResyncRequired({ reason: 'reconnect' });
+  assert.ok(session.resyncTimer);
+
+  await session.close();
+  assert.equal(session.resyncTimer, null);
+});
+
+test('a token refresh keeps an open WebSocket and reconnects one that is down', async () => {
+  const session = createSession();
+  session.oauth.token = issueToken();
+  const events = [];
+  await session.api.connectWebSocket({ resyncRequired: event => events.push(event) });
+  const { websocket } = session.api;
+
+  try {
+    const socket = websocket.ws;
+    await session._onTokenRefreshed(issueToken());
+    assert.equal(websocket.ws, socket, 'Open connection replaced');
+    assert.deepEqual(events, []);
+
+    // Lost connection waiting for its backoff: connects right away
+    websocket._handleConnectionTimeout();
+    await session._onTokenRefreshed(issueToken());
+    assert.equal(websocket.getConnectionState(), 'connected');
+    assert.equal(websocket.reconnectTimer, null);
+    assert.deepEqual(events.map(event => event.reason), ['reconnect']);
+  } finally {
+    await session.close();
+  }
+});
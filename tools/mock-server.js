@@ -0,0 +1,515 @@
+'use strict';
+
+/**
+ * Local mock Mercedes backend
+ * Emulates the CIAM login, /v2/vehicles, the widget vehicleattributes endpoint,
+ * command capabilities and the /v2/ws socket with AppTwin command status updates,
+ * so pairing, polling and commands can be tested end to end without a car.
+ *
+ * Point the app at it with MercedesOAuth.setEndpointOverride('http://<host>:<port>')
+ * or MERCEDES_ENDPOINT_OVERRIDE in env.json.
+ *
+ * Usage: node tools/mock-server.js [--port 8080] [--host 0.0.0.0] [--otp 123456]
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL, URLSearchParams } = require('url');
+const WebSocket = require('ws');
+const ProtoParser = require('../lib/proto/parser');
+
+// AppTwin command states (see MercedesWebSocket._handleCommandStatusUpdates)
+const STATE = { ENQUEUED: 2, PROCESSING: 3, FINISHED: 5, FAILED: 6 };
+
+const DEFAULT_VEHICLE = {
+  vin: 'WDD0000000MOCK001',
+  salesDesignation: 'EQE 350+',
+  licensePlate: 'M-OCK 1',
+  pin: '1234',
+  commands: null, // { COMMAND_NAME: boolean }, null = everything available
+  attributes: {
+    soc: { intValue: 80 },
+    rangeelectric: { intValue: 320 },
+    doorlockstatusvehicle: { intValue: 2 },
+    odo: { intValue: 12345 },
+    precondActive: { boolValue: false },
+    auxheatactive: { boolValue: false },
+    sunroofstatus: { intValue: 0 }
+  }
+};
+
+// Attribute changes applied when a command finishes
+const COMMAND_EFFECTS = {
+  doorsLock: { doorlockstatusvehicle: { intValue: 2 } },
+  doorsUnlock: { doorlockstatusvehicle: { intValue: 0 } },
+  zevPrecondStart: { precondActive: { boolValue: true } },
+  zevPrecondStop: { precondActive: { boolValue: false } },
+  auxheatStart: { auxheatactive: { boolValue: true } },
+  auxheatStop: { auxheatactive: { boolValue: false } },
+  sunroofOpen: { sunroofstatus: { intValue: 1 } },
+  sunroofClose: { sunroofstatus: { intValue: 0 } },
+  sunroofLift: { sunroofstatus: { intValue: 2 } }
+};
+
+// Commands that carry the security PIN
+const PIN_COMMANDS = ['doorsUnlock', 'engineStart', 'windowsOpen', 'sunroofOpen'];
+
+class MockMercedesBackend {
+  /**
+   * @param {Object} options - { username, password, otp, vehicles, commandDelay, verbose }
+   */
+  constructor(options = {}) {
+    this.username = options.username || 'test@example.com';
+    this.password = options.password || 'secret';
+    this.otp = options.otp || null; // set to require a one-time code
+    this.vehicles = (options.vehicles || [DEFAULT_VEHICLE]).map(vehicle => JSON.parse(JSON.stringify(vehicle)));
+    this.commandDelay = options.commandDelay !== undefined ? options.commandDelay : 200;
+    this.verbose = !!options.verbose;
+
+    // Login state
+    this.authorizations = new Map(); // resume id -> { codeChallenge }
+    this.preLoginTokens = new Set();
+    this.codes = new Map(); // authorization code -> { codeChallenge }
+    this.accessTokens = new Set();
+    this.refreshTokens = new Set();
+
+    // Recorded requests and commands, for assertions in tests
+    this.requests = [];
+    this.commands = [];
+
+    // Sequence number of the VEPUpdate records; push messages are numbered per socket and stream
+    this.sequence = 0;
+    this.server = null;
+    this.wss = null;
+    this.sockets = new Set();
+
+    const quiet = { app: { log: () => {}, error: (...args) => this._log('[PARSER]', ...args) } };
+    this.parser = new ProtoParser(quiet);
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 = random free port)
+   * @param {string} host - Interface to listen on ('0.0.0.0' to reach it from a Homey)
+   * @returns {Promise<string>} Base URL for MercedesOAuth.setEndpointOverride()
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    await this.parser.initialize();
+
+    this.server = http.createServer((req, res) => {
+      this._handleRequest(req, res).catch(error => {
+        this._log('[HTTP] Handler error:', error.message);
+        this._json(res, 500, { errors: error.message });
+      });
+    });
+
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+
+    await new Promise(resolve => this.server.listen(port, host, resolve));
+    this.url = `http://${host === '0.0.0.0' ? '127.0.0.1' : host}:${this.server.address().port}`;
+    this._log(`[MOCK] Listening on ${this.url}`);
+
+    return this.url;
+  }
+
+  /**
+   * Stop the server and close all sockets
+   */
+  async stop() {
+    for (const socket of this.sockets) {
+      socket.terminate();
+    }
+    this.sockets.clear();
+
+    if (this.wss) {
+      this.wss.close();
+    }
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Change vehicle attributes and push them to every connected socket
+   * @param {string} vin - Vehicle VIN
+   * @param {Object} attributes - { name: { intValue | boolValue | doubleValue | stringValue } }
+   */
+  pushAttributes(vin, attributes) {
+    const vehicle = this._getVehicle(vin);
+    Object.assign(vehicle.attributes, attributes);
+
+    for (const socket of this.sockets) {
+      this._sendVepUpdates(socket, [vehicle], attributes);
+    }
+  }
+
+  /**
+   * Expire every issued access token (the next request gets a 401)
+   */
+  expireAccessTokens() {
+    this.accessTokens.clear();
+  }
+
+  // ==================== HTTP ====================
+
+  async _handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await this._readBody(req);
+    this.requests.push({ method: req.method, path: url.pathname });
+    this._log(`[HTTP] ${req.method} ${url.pathname}`);
+
+    // --- CIAM login ---
+    if (req.method === 'GET' && url.pathname === '/as/authorization.oauth2') {
+      const resumeId = crypto.randomBytes(8).toString('hex');
+      this.authorizations.set(resumeId, { codeChallenge: url.searchParams.get('code_challenge') });
+      res.writeHead(302, { Location: `/ciam/auth/login?resume=/as/${resumeId}/resume/as/authorization.ping` });
+      return res.end();
+    }
+
+    if (req.method === 'GET' && url.pathname === '/ciam/auth/login') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end('<html><body>Mock CIAM login</body></html>');
+    }
+
+    if (req.method === 'POST' && url.pathname === '/ciam/auth/ua') {
+      return this._json(res, 200, {});
+    }
+
+    if (req.method === 'POST' && url.pathname === '/ciam/auth/login/user') {
+      return this._json(res, 200, { result: 'GOTO_LOGIN_PASSWORD' });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/ciam/auth/login/pass') {
+      const data = JSON.parse(body || '{}');
+      if (data.username !== this.username || data.password !== this.password) {
+        return this._json(res, 401, { errorCode: 'LOGIN_FAILED' });
+      }
+      if (this.otp) {
+        return this._json(res, 200, { result: 'GOTO_LOGIN_OTP' });
+      }
+      return this._json(res, 200, { result: 'RESUME2OIDCP', token: this._issuePreLoginToken() });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/ciam/auth/login/otp/send') {
+      return this._json(res, 200, {});
+    }
+
+    if (req.method === 'POST' && url.pathname === '/ciam/auth/login/otp') {
+      const data = JSON.parse(body || '{}');
+      if (data.otp !== this.otp) {
+        return this._json(res, 200, { result: 'GOTO_LOGIN_OTP' });
+      }
+      return this._json(res, 200, { result: 'RESUME2OIDCP', token: this._issuePreLoginToken() });
+    }
+
+    const resumeMatch = url.pathname.match(/^\/as\/([^/]+)\/resume\/as\/authorization\.ping$/);
+    if (req.method === 'POST' && resumeMatch) {
+      const authorization = this.authorizations.get(resumeMatch[1]);
+      const token = new URLSearchParams(body).get('token');
+      if (!authorization || !this.preLoginTokens.has(token)) {
+        return this._json(res, 400, { error: 'invalid_request' });
+      }
+
+      this.preLoginTokens.delete(token);
+      this.authorizations.delete(resumeMatch[1]);
+
+      const code = crypto.randomBytes(12).toString('hex');
+      this.codes.set(code, authorization);
+      res.writeHead(302, { Location: `rismycar://login-callback?code=${code}` });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && url.pathname === '/as/token.oauth2') {
+      return this._handleToken(res, new URLSearchParams(body));
+    }
+
+    // --- REST / widget (authenticated) ---
+    if (!this._isAuthorized(req)) {
+      return this._json(res, 401, { errors: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/v2/vehicles') {
+      return this._json(res, 200, {
+        assignedVehicles: this.vehicles.map(vehicle => ({
+          fin: vehicle.vin,
+          vin: vehicle.vin,
+          salesRelatedInformation: { baumuster: { baumusterDescription: vehicle.salesDesignation } },
+          licensePlate: vehicle.licensePlate
+        }))
+      });
+    }
+
+    const vehicleMatch = url.pathname.match(/^\/v1\/vehicle\/([^/]+)\/(.+)$/);
+    if (vehicleMatch) {
+      const vehicle = this._getVehicle(vehicleMatch[1]);
+      if (!vehicle) {
+        return this._json(res, 404, { errors: 'Unknown vehicle' });
+      }
+
+      const resource = vehicleMatch[2];
+
+      if (req.method === 'GET' && resource === 'vehicleattributes') {
+        const buffer = this._encodeVepUpdate(vehicle, vehicle.attributes, true);
+        res.writeHead(200, { 'Content-Type': 'application/x-protobuf' });
+        return res.end(buffer);
+      }
+
+      if (req.method === 'GET' && resource === 'capabilities/commands') {
+        const commands = Object.entries(vehicle.commands || {})
+          .map(([commandName, isAvailable]) => ({ commandName, isAvailable }));
+        return this._json(res, 200, vehicle.commands ? { commands } : {});
+      }
+
+      if (req.method === 'GET' && resource === 'capabilities') {
+        return this._json(res, 200, {});
+      }
+
+      if (req.method === 'POST' && resource.startsWith('command/')) {
+        this.commands.push({ vin: vehicle.vin, type: resource.substring('command/'.length), body });
+        return this._json(res, 200, {});
+      }
+    }
+
+    return this._json(res, 404, { errors: `No mock for ${req.method} ${url.pathname}` });
+  }
+
+  _handleToken(res, params) {
+    const grantType = params.get('grant_type');
+
+    if (grantType === 'authorization_code') {
+      const authorization = this.codes.get(params.get('code'));
+      const challenge = crypto.createHash('sha256')
+        .update(params.get('code_verifier') || '')
+        .digest('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=/g, '');
+
+      if (!authorization || authorization.codeChallenge !== challenge) {
+        return this._json(res, 400, { error: 'invalid_grant' });
+      }
+
+      this.codes.delete(params.get('code'));
+      return this._json(res, 200, this._issueTokens());
+    }
+
+    if (grantType === 'refresh_token') {
+      if (!this.refreshTokens.has(params.get('refresh_token'))) {
+        return this._json(res, 400, { error: 'invalid_grant' });
+      }
+
+      return this._json(res, 200, this._issueTokens(params.get('refresh_token')));
+    }
+
+    return this._json(res, 400, { error: 'unsupported_grant_type' });
+  }
+
+  // ==================== WebSocket ====================
+
+  _handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== '/v2/ws' || !this._isAuthorized(req)) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, ws => {
+      ws.sequences = {};
+      this.sockets.add(ws);
+      this._log('[WS] Client connected');
+
+      ws.on('message', data => this._handleSocketMessage(ws, data));
+      ws.on('close', () => this.sockets.delete(ws));
+
+      // Initial full update, like the real backend
+      this._sendVepUpdates(ws, this.vehicles, null);
+    });
+  }
+
+  _handleSocketMessage(ws, data) {
+    let message;
+    try {
+      message = this.parser.CommandClientMessage.decode(data);
+    } catch (error) {
+      return; // Acknowledgements use other message types
+    }
+
+    const request = message.commandRequest;
+    if (!request || !request.requestId) {
+      return;
+    }
+
+    const vehicle = this._getVehicle(request.vin);
+    const type = request.command || 'unknown';
+    this.commands.push({ vin: request.vin, type, requestId: request.requestId });
+    this._log(`[WS] Command ${type} (${request.requestId}) for ${request.vin}`);
+
+    this._sendCommandStatus(ws, request, STATE.ENQUEUED);
+
+    setTimeout(() => {
+      if (!vehicle) {
+        return this._sendCommandStatus(ws, request, STATE.FAILED, { code: 'VEHICLE_NOT_FOUND', message: 'Vehicle not found' });
+      }
+
+      const pin = PIN_COMMANDS.includes(type) && request[type] ? request[type].pin : undefined;
+      if (pin !== undefined && pin !== vehicle.pin) {
+        return this._sendCommandStatus(ws, request, STATE.FAILED, { code: '4061', message: 'Invalid PIN' });
+      }
+
+      this._sendCommandStatus(ws, request, STATE.FINISHED);
+
+      if (COMMAND_EFFECTS[type]) {
+        this.pushAttributes(vehicle.vin, COMMAND_EFFECTS[type]);
+      }
+    }, this.commandDelay);
+  }
+
+  _sendCommandStatus(ws, request, state, errors) {
+    const message = this.parser.PushMessage.create({
+      apptwinCommandStatusUpdatesByVin: {
+        sequenceNumber: this._nextSequence(ws, 'commandStatus'),
+        updatesByVin: {
+          [request.vin]: {
+            vin: request.vin,
+            updatesByPid: {
+              1: {
+                processId: 1,
+                requestId: request.requestId,
+                timestampInMs: Date.now(),
+                state,
+                errors
+              }
+            }
+          }
+        }
+      }
+    });
+
+    ws.send(this.parser.PushMessage.encode(message).finish());
+  }
+
+  _sendVepUpdates(ws, vehicles, attributes) {
+    const updates = {};
+    for (const vehicle of vehicles) {
+      updates[vehicle.vin] = this.parser.VEPUpdate.toObject(
+        this.parser.VEPUpdate.decode(this._encodeVepUpdate(vehicle, attributes || vehicle.attributes, !attributes))
+      );
+    }
+
+    const message = this.parser.PushMessage.create({
+      vepUpdates: { sequenceNumber: this._nextSequence(ws, 'vepUpdates'), updates }
+    });
+
+    ws.send(this.parser.PushMessage.encode(message).finish());
+  }
+
+  // ==================== Helpers ====================
+
+  /**
+   * Next sequence number of a push message stream on a socket
+   * Every stream (vepUpdates, commandStatus, ...) counts on its own, like MercedesWebSocket tracks them
+   */
+  _nextSequence(ws, stream) {
+    ws.sequences[stream] = (ws.sequences[stream] || 0) + 1;
+    return ws.sequences[stream];
+  }
+
+  _encodeVepUpdate(vehicle, attributes, fullUpdate) {
+    const now = Date.now();
+    const encoded = {};
+    for (const [name, value] of Object.entries(attributes)) {
+      encoded[name] = { ...value, status: 0, timestampInMs: now };
+    }
+
+    const update = this.parser.VEPUpdate.create({
+      sequenceNumber: ++this.sequence,
+      vin: vehicle.vin,
+      fullUpdate,
+      emitTimestampInMs: now,
+      attributes: encoded
+    });
+
+    return Buffer.from(this.parser.VEPUpdate.encode(update).finish());
+  }
+
+  _issuePreLoginToken() {
+    const token = crypto.randomBytes(12).toString('hex');
+    this.preLoginTokens.add(token);
+    return token;
+  }
+
+  _issueTokens(refreshToken = null) {
+    const accessToken = `mock-access-${crypto.randomBytes(12).toString('hex')}`;
+    const newRefreshToken = refreshToken || `mock-refresh-${crypto.randomBytes(12).toString('hex')}`;
+
+    this.accessTokens.add(accessToken);
+    this.refreshTokens.add(newRefreshToken);
+
+    return {
+      access_token: accessToken,
+      refresh_token: newRefreshToken,
+      token_type: 'Bearer',
+      expires_in: 7200
+    };
+  }
+
+  _isAuthorized(req) {
+    const header = req.headers['authorization'] || '';
+    return this.accessTokens.has(header.replace(/^Bearer /, ''));
+  }
+
+  _getVehicle(vin) {
+    return this.vehicles.find(vehicle => vehicle.vin === vin);
+  }
+
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  _json(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  _log(...args) {
+    if (this.verbose) {
+      console.log(...args);
+    }
+  }
+}
+
+module.exports = MockMercedesBackend;
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const backend = new MockMercedesBackend({
+    otp: option('otp'),
+    verbose: true
+  });
+
+  backend.start(Number(option('port') || 8080), option('host') || '0.0.0.0')
+    .then(url => {
+      console.log(`✓ Mock Mercedes backend running on ${url}`);
+      console.log(`  Login: ${backend.username} / ${backend.password}${backend.otp ? ` (one-time code ${backend.otp})` : ''}`);
+      console.log(`  Set MERCEDES_ENDPOINT_OVERRIDE=${url} in env.json (use your LAN address when running on a Homey)`);
+    })
+    .catch(error => {
+      console.error('✗ Failed to start mock backend:', error.message);
+      process.exit(1);
+    });
+}
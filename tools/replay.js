@@ -0,0 +1,275 @@
+'use strict';
+
+/**
+ * Offline replay harness
+ * Feeds frames recorded by lib/recorder.js through MercedesWebSocket._processMessage
+ * (WebSocket PushMessages) or ProtoParser.parseVEPUpdate (widget vehicleattributes)
+ * into MercedesVehicleDevice.updateCapabilities of a fake device, without a car or tokens.
+ *
+ * Usage: node tools/replay.js <recording-dir> [--vin <VIN>] [--json] [--verbose]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+/**
+ * Fake Homey.Device: keeps capabilities and store in memory and records every change
+ */
+class FakeDevice {
+  constructor() {
+    this.capabilities = new Map();
+    this.store = {};
+    this.settings = {};
+    this.changes = []; // [{ capability, from, to }]
+    this.triggers = []; // [{ card, tokens }]
+    this.verbose = false;
+  }
+
+  log(...args) {
+    if (this.verbose) {
+      console.log('[DEVICE]', ...args);
+    }
+  }
+
+  error(...args) {
+    if (this.verbose) {
+      console.error('[DEVICE]', ...args);
+    }
+  }
+
+  getName() { return 'Replay vehicle'; }
+  getData() { return { vin: this.vin }; }
+  getSettings() { return this.settings; }
+  getStore() { return this.store; }
+  getStoreValue(key) { return this.store[key]; }
+  getStoreKeys() { return Object.keys(this.store); }
+  async setStoreValue(key, value) { this.store[key] = value; }
+  async setSettings(settings) { Object.assign(this.settings, settings); }
+  async unsetStoreValue(key) { delete this.store[key]; }
+
+  hasCapability(capability) { return this.capabilities.has(capability); }
+  getCapabilities() { return [...this.capabilities.keys()]; }
+  async addCapability(capability) { this.capabilities.set(capability, null); }
+  async removeCapability(capability) { this.capabilities.delete(capability); }
+
+  getCapabilityValue(capability) {
+    return this.capabilities.has(capability) ? this.capabilities.get(capability) : null;
+  }
+
+  async setCapabilityValue(capability, value) {
+    if (!this.capabilities.has(capability)) {
+      throw new Error(`Invalid capability: ${capability}`);
+    }
+
+    const from = this.capabilities.get(capability);
+    if (from !== value) {
+      this.changes.push({ capability, from, to: value });
+    }
+    this.capabilities.set(capability, value);
+  }
+
+  registerCapabilityListener() {}
+  async setAvailable() {}
+  async setUnavailable() {}
+}
+
+/**
+ * In-memory ManagerSettings (app storage)
+ */
+function createFakeSettings() {
+  const values = new Map();
+  return {
+    get: key => (values.has(key) ? values.get(key) : null),
+    set: (key, value) => values.set(key, value),
+    unset: key => values.delete(key),
+    getKeys: () => [...values.keys()]
+  };
+}
+
+/**
+ * Create the fake homey object shared by the device, parser and WebSocket client
+ */
+function createFakeHomey(device, verbose) {
+  const log = (...args) => verbose && console.log('[APP]', ...args);
+
+  return {
+    app: { log, error: log, recorder: null },
+    __: key => key,
+    clock: { getTimezone: () => 'UTC' },
+    settings: createFakeSettings(),
+    flow: {
+      getDeviceTriggerCard: card => ({
+        trigger: async (target, tokens = {}) => {
+          device.triggers.push({ card, tokens });
+        }
+      })
+    },
+    notifications: {
+      createNotification: async () => {}
+    }
+  };
+}
+
+/**
+ * Load device.js with a fake 'homey' module, so it runs outside the Homey runtime
+ */
+function loadDeviceClass() {
+  const originalLoad = Module._load;
+
+  Module._load = function (request, ...rest) {
+    if (request === 'homey') {
+      return { Device: FakeDevice, Driver: class {}, App: class {}, env: {} };
+    }
+    return originalLoad.call(this, request, ...rest);
+  };
+
+  try {
+    return require('../drivers/mercedes-vehicle/device');
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+/**
+ * Read the frames of a recording in order
+ * @param {string} directory - Recording directory
+ * @returns {Array} [{ file, kind, vin, buffer }]
+ */
+function readRecording(directory) {
+  const indexFile = path.join(directory, 'index.jsonl');
+
+  let entries;
+  if (fs.existsSync(indexFile)) {
+    entries = fs.readFileSync(indexFile, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  } else {
+    // No index - derive kind from the file name
+    entries = fs.readdirSync(directory)
+      .filter(file => /-(ws|attributes)\.bin$/.test(file))
+      .sort()
+      .map(file => ({ file, kind: file.endsWith('-ws.bin') ? 'ws' : 'attributes', vin: null }));
+  }
+
+  return entries.map(entry => ({ ...entry, buffer: fs.readFileSync(path.join(directory, entry.file)) }));
+}
+
+/**
+ * Replay a recording into a fake device
+ * @param {string} directory - Recording directory
+ * @param {Object} options - { vin, capabilities, verbose }
+ * @returns {Promise<Object>} { device, frames, capabilities, changes, triggers }
+ */
+async function replayRecording(directory, options = {}) {
+  const ProtoParser = require('../lib/proto/parser');
+  const MercedesWebSocket = require('../lib/websocket');
+  const VehicleState = require('../lib/vehicle-state');
+  const TripLogger = require('../lib/trip-logger');
+  const ChargingLogger = require('../lib/charging-logger');
+  const Logger = require('../lib/logger');
+  const MercedesVehicleDevice = loadDeviceClass();
+
+  const device = new MercedesVehicleDevice();
+  device.verbose = !!options.verbose;
+  device.homey = createFakeHomey(device, device.verbose);
+  device.logger = new Logger(device);
+  device.logger.configure({ debug: device.verbose });
+  device.updateLogger = device.logger.child('UPDATE');
+  device.pendingStates = new Map();
+  device.dataTimestamps = {};
+  device.vehicleState = new VehicleState(options.vin || null);
+  device.stateSaveTimer = null;
+  device.tripLogger = new TripLogger(device.homey, options.vin || null, device.logger.child('TRIP'));
+  device.chargingLogger = new ChargingLogger(device.homey, options.vin || null, device.logger.child('CHARGING'));
+
+  // Start with the capabilities of a freshly paired device
+  const compose = require('../drivers/mercedes-vehicle/driver.compose.json');
+  for (const capability of options.capabilities || compose.capabilities) {
+    await device.addCapability(capability);
+  }
+
+  const parser = new ProtoParser(device.homey, device.logger.child('PARSER'));
+  await parser.initialize();
+
+  const websocket = new MercedesWebSocket(device.homey, { endpoints: {} }, 'Europe', parser, device.logger.child('WS'));
+  // Same contract as MercedesAccountSession: updates are handled one after another
+  let updates = Promise.resolve();
+  websocket.on('vepUpdate', update => {
+    if (!options.vin || update.vin === options.vin) {
+      updates = updates.then(() => {
+        device.vin = update.vin;
+        return device.onVepUpdate(update);
+      });
+    }
+  });
+
+  const frames = readRecording(directory);
+  for (const frame of frames) {
+    if (frame.kind === 'ws') {
+      await websocket._processMessage(frame.buffer);
+      await updates;
+    } else {
+      const vepUpdate = parser.parseVEPUpdate(frame.buffer);
+      const vin = frame.vin || vepUpdate.vin;
+      if (!options.vin || vin === options.vin) {
+        device.vin = vin;
+        await device.updateCapabilities(parser.extractVehicleData(vepUpdate));
+      }
+    }
+  }
+
+  // Write the snapshot now instead of leaving the save timer running
+  await device._saveVehicleState();
+
+  return {
+    device,
+    frames: frames.length,
+    capabilities: Object.fromEntries(device.capabilities),
+    changes: device.changes,
+    triggers: device.triggers
+  };
+}
+
+module.exports = {
+  FakeDevice,
+  readRecording,
+  replayRecording
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const directory = args[0];
+  const vinIndex = args.indexOf('--vin');
+
+  if (!directory || directory.startsWith('--')) {
+    console.error('Usage: node tools/replay.js <recording-dir> [--vin <VIN>] [--json] [--verbose]');
+    process.exit(1);
+  }
+
+  replayRecording(directory, {
+    vin: vinIndex !== -1 ? args[vinIndex + 1] : null,
+    verbose: args.includes('--verbose')
+  })
+    .then(result => {
+      if (args.includes('--json')) {
+        console.log(JSON.stringify({ ...result, device: undefined }, null, 2));
+        return;
+      }
+
+      console.log(`✓ Replayed ${result.frames} frame(s)\n`);
+      console.log('Capability changes:');
+      for (const change of result.changes) {
+        console.log(`  ${change.capability}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
+      }
+      console.log('\nTriggers:');
+      for (const trigger of result.triggers) {
+        console.log(`  ${trigger.card} ${JSON.stringify(trigger.tokens)}`);
+      }
+    })
+    .catch(error => {
+      console.error('✗ Replay failed:', error.message);
+      process.exit(1);
+    });
+}